@@ -0,0 +1,264 @@
+// Sound for the game: a metronome and bass line locked to the target
+// rhythm (or to the beatmap of a rhythm track), sound effects, and a crowd
+// that cheers louder the faster the skier goes. Everything is synthesized
+// with the Web Audio API, so there are no sound files to download or cache
+// for offline play.
+// Loaded as a plain script before game.js, which calls these functions.
+
+const AUDIO_SETTINGS_KEY = 'audioSettings';
+const DEFAULT_VOLUME = 0.6;
+const VOLUME_STEP = 0.1;
+const BEAT_LOOKAHEAD_MS = 100; // Beats are scheduled this far ahead so frame timing doesn't shift them
+const BEATS_PER_BAR = 4;
+const BASS_LINE = [110, 87.31, 130.81, 98]; // Root note of each bar (A, F, C, G) in Hz
+const MAX_CROWD_VOLUME = 0.12;
+
+// Sound effects
+const Sound = {
+  GOOD_TAP: 'goodTap',
+  BAD_TAP: 'badTap',
+  SWISH: 'swish',
+  JUMP: 'jump',
+  DUCK: 'duck',
+  BRIDGE_PASS: 'bridgePass',
+  DEATH: 'death'
+};
+
+let audioContext = null;  // Created on the first key press, as browsers only allow sound after one
+let masterGain = null;    // Volume control everything plays through
+let noiseBuffer = null;   // A second of white noise for swishes and the crowd
+let crowdGain = null;     // Volume of the looping crowd noise
+let audioSettings = loadAudioSettings();
+let lastBeatTime = -Infinity; // Simulation time of the last beat scheduled
+let beatCount = 0;
+let nextPulse = 0;            // Rhythm tracks: index of the next pulse to schedule
+let nextStrideCue = 0;        // and of the next stride
+
+// Mute and volume settings kept on this device ({ muted, volume })
+function loadAudioSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+        if (settings && typeof settings.muted === 'boolean' && settings.volume >= 0 && settings.volume <= 1) {
+            return settings;
+        }
+    } catch (error) {
+        console.error("Error reading audio settings:", error);
+    }
+    return { muted: false, volume: DEFAULT_VOLUME };
+}
+
+function saveAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(audioSettings));
+    } catch (error) {
+        console.error("Error saving audio settings:", error);
+    }
+}
+
+// Start the audio engine; call from a key press or click. Does nothing
+// where the Web Audio API isn't available.
+function unlockAudio() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            audioContext = new AudioContextClass();
+        } catch (error) {
+            console.error("Error starting audio:", error);
+            return;
+        }
+        masterGain = audioContext.createGain();
+        masterGain.connect(audioContext.destination);
+        applyVolume();
+
+        noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+        const samples = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+    }
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+function applyVolume() {
+    if (masterGain) {
+        masterGain.gain.setValueAtTime(audioSettings.muted ? 0 : audioSettings.volume, audioContext.currentTime);
+    }
+}
+
+// Turn the sound off or back on
+function toggleMute() {
+    audioSettings.muted = !audioSettings.muted;
+    applyVolume();
+    saveAudioSettings();
+}
+
+// Turn the volume up (1) or down (-1) a step, unmuting
+function changeVolume(direction) {
+    const volume = Math.round((audioSettings.volume + direction * VOLUME_STEP) * 10) / 10;
+    audioSettings.volume = Math.min(Math.max(volume, 0), 1);
+    audioSettings.muted = false;
+    applyVolume();
+    saveAudioSettings();
+    playSound(Sound.GOOD_TAP);
+}
+
+// "Sound: 60%" or "Sound: off", for the start screen
+function describeAudioSettings() {
+    return audioSettings.muted ? 'Sound: off' : `Sound: ${Math.round(audioSettings.volume * 100)}%`;
+}
+
+// A note that slides from frequency to endFrequency, starting delay seconds from now
+function playTone(frequency, endFrequency, duration, volume, type = 'sine', delay = 0) {
+    const start = audioContext.currentTime + delay;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(masterGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+}
+
+// A burst of filtered noise, starting delay seconds from now
+function playNoise(filterType, filterFrequency, duration, volume, delay = 0) {
+    const start = audioContext.currentTime + delay;
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
+    const gain = audioContext.createGain();
+
+    source.buffer = noiseBuffer;
+    filter.type = filterType;
+    filter.frequency.value = filterFrequency;
+    gain.gain.setValueAtTime(0.001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + duration * 0.3);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(masterGain);
+    source.start(start);
+    source.stop(start + duration);
+}
+
+// Play a sound effect
+function playSound(sound) {
+    if (!audioContext) return;
+
+    switch (sound) {
+        case Sound.GOOD_TAP:
+            playTone(880, 1320, 0.08, 0.2);
+            break;
+        case Sound.BAD_TAP:
+            playTone(160, 100, 0.15, 0.2, 'square');
+            break;
+        case Sound.SWISH:
+            playNoise('highpass', 3000, 0.2, 0.15);
+            break;
+        case Sound.JUMP:
+            playTone(300, 700, 0.2, 0.2, 'triangle');
+            break;
+        case Sound.DUCK:
+            playTone(500, 250, 0.15, 0.2, 'triangle');
+            break;
+        case Sound.BRIDGE_PASS:
+            // A rumble under the bridge and a cheer from the people on it
+            playNoise('lowpass', 300, 0.4, 0.3);
+            playNoise('bandpass', 1200, 0.8, 0.2, 0.1);
+            break;
+        case Sound.DEATH:
+            [440, 415, 392, 311].forEach((note, i) => playTone(note, note * 0.98, 0.3, 0.25, 'sawtooth', i * 0.25));
+            playTone(110, 40, 0.8, 0.4, 'sine', 1);
+            break;
+    }
+}
+
+// Keep the metronome and bass line going at the target rhythm, scheduling
+// each beat a little ahead of time. Beats fall on the moments the next
+// stride is due: every beatInterval ms after the last stride. Call every
+// frame with the current simulation time; the beat rests while isPoling is
+// false (in a tuck or lying in the snow after a crash).
+function updateMusic(beatInterval, lastStrideTime, simTime, isPoling) {
+    if (!audioContext) return;
+
+    // The next beat on the grid from the last stride, skipping any already
+    // scheduled (the grid moves a little whenever the skier strides off the beat)
+    let beatTime = lastStrideTime + beatInterval * Math.max(Math.ceil((simTime - lastStrideTime) / beatInterval), 1);
+    if (beatTime < lastBeatTime + beatInterval / 2) {
+        beatTime += beatInterval;
+    }
+    if (beatTime - simTime > BEAT_LOOKAHEAD_MS) return;
+
+    lastBeatTime = beatTime;
+    if (!isPoling) return;
+
+    playBeat(Math.max(beatTime - simTime, 0) / 1000, beatCount % BEATS_PER_BAR, Math.floor(beatCount / BEATS_PER_BAR), beatInterval);
+    beatCount++;
+}
+
+// Play the music of a rhythm track (see Beatmap.compileBeatmap): a beat on
+// every pulse of the track and a tick on every stride, scheduled a little
+// ahead of time. Call every frame with the current simulation time.
+function updateTrackMusic(track, simTime) {
+    if (!audioContext) return;
+
+    while (nextPulse < track.pulses.length && track.pulses[nextPulse].time - simTime <= BEAT_LOOKAHEAD_MS) {
+        const pulse = track.pulses[nextPulse++];
+        playBeat(Math.max(pulse.time - simTime, 0) / 1000, pulse.beatInBar, pulse.bar, pulse.length);
+    }
+    while (nextStrideCue < track.strideTimes.length && track.strideTimes[nextStrideCue] - simTime <= BEAT_LOOKAHEAD_MS) {
+        const strideTime = track.strideTimes[nextStrideCue++];
+        playNoise('highpass', 6000, 0.06, 0.1, Math.max(strideTime - simTime, 0) / 1000);
+    }
+}
+
+// One beat of the music, delay seconds from now: a click, higher on the
+// first beat of the bar, over the bass note of the bar (a fifth up on the
+// third beat) lasting most of the beat
+function playBeat(delay, beatInBar, bar, beatLength) {
+    const click = beatInBar === 0 ? 1500 : 1000;
+    const root = BASS_LINE[bar % BASS_LINE.length];
+    const note = beatInBar === 2 ? root * 1.5 : root;
+
+    playTone(click, click, 0.03, 0.08, 'square', delay);
+    playTone(note, note, beatLength / 1000 * 0.9, 0.25, 'triangle', delay);
+}
+
+// Start the music from the top of the bass line (or of the track), for a new run
+function resetMusic() {
+    lastBeatTime = -Infinity;
+    beatCount = 0;
+    nextPulse = 0;
+    nextStrideCue = 0;
+}
+
+// Set how loudly the crowd cheers, from 0 (silent) to 1
+function updateCrowd(level) {
+    if (!audioContext) return;
+
+    if (!crowdGain) {
+        const source = audioContext.createBufferSource();
+        const filter = audioContext.createBiquadFilter();
+        crowdGain = audioContext.createGain();
+        source.buffer = noiseBuffer;
+        source.loop = true;
+        filter.type = 'bandpass';
+        filter.frequency.value = 900;
+        filter.Q.value = 0.7;
+        crowdGain.gain.value = 0;
+        source.connect(filter);
+        filter.connect(crowdGain);
+        crowdGain.connect(masterGain);
+        source.start();
+    }
+    crowdGain.gain.setTargetAtTime(MAX_CROWD_VOLUME * Math.min(Math.max(level, 0), 1), audioContext.currentTime, 0.3);
+}
@@ -0,0 +1,202 @@
+// Beatmaps for Rhythm Tracks: the beatmap format, a loader that checks it,
+// and the built-in tracks, which are generated from seeds so they work
+// offline. Runs in the browser (as window.Beatmap) and in Node, like the
+// game core.
+//
+// A beatmap is JSON like this:
+//   {
+//     "title": "First Tracks",
+//     "bpm": 100,                                   // Beats per minute at the start
+//     "timeSignature": [4, 4],                      // Beats per bar and the note value of a beat
+//     "offset": 2000,                               // Milliseconds before beat 0 (optional)
+//     "tempoChanges": [{ "beat": 96, "bpm": 116 }], // In order (optional)
+//     "beats": [0, 1, 2, 3, 4, 5, 5.5, 6]           // The beats to stride on, in order
+//   }
+// Beats count from 0 at the start of the first bar and can be fractions for
+// off-beat strides. The track lasts until the end of the bar of its last beat.
+(function(Beatmap) {
+    const { createRng } = typeof require === 'function' ? require('./rng') : window;
+
+    const MIN_BPM = 40;
+    const MAX_BPM = 300;
+    const BEAT_VALUES = [1, 2, 4, 8, 16];
+    const MAX_BEATS_PER_BAR = 16;
+    const MAX_TITLE_LENGTH = 60;
+    const MAX_OFFSET = 10000;
+    const MAX_TEMPO_CHANGES = 100;
+    const MAX_BEATS = 5000;
+    const MIN_STRIDE_GAP = 150;           // Milliseconds; strides closer together can't be skied
+    const MAX_DURATION = 60 * 60 * 1000;  // The longest run a replay can hold
+
+    // Built-in tracks, generated from their seeds (see generateTrack). Tempo
+    // changes are given at the start of a bar.
+    const BUILT_IN_TRACKS = [
+        { title: 'First Tracks', seed: 0x5EED01, bpm: 100, beatsPerBar: 4, bars: 48, tempoChanges: [{ bar: 24, bpm: 116 }] },
+        { title: 'Alpine Waltz', seed: 0x5EED02, bpm: 150, beatsPerBar: 3, bars: 64, tempoChanges: [{ bar: 24, bpm: 165 }, { bar: 48, bpm: 150 }] }
+    ];
+    const TRACK_OFFSET = 2000; // Time to get ready before the first beat of a built-in track
+    const COUNT_IN_BARS = 2;   // Built-in tracks open with a stride on every beat to pick up the tempo
+
+    // Strides within a bar of the built-in tracks, by beats per bar
+    const BAR_PATTERNS = {
+        3: [[0, 1, 2], [0, 1, 2], [0, 2], [0, 1, 1.5, 2], [0, 0.5, 1, 2]],
+        4: [[0, 1, 2, 3], [0, 1, 2, 3], [0, 2, 3], [0, 1, 2, 2.5, 3], [0, 1, 1.5, 2, 3], [0, 1, 3]]
+    };
+
+    const isBpm = bpm => typeof bpm === 'number' && bpm >= MIN_BPM && bpm <= MAX_BPM;
+
+    // Time of a beat in milliseconds from the start of the run, adding up
+    // the time spent at each tempo before it
+    function beatTimeIn(beatmap, beat) {
+        const tempos = [{ beat: 0, bpm: beatmap.bpm }].concat(beatmap.tempoChanges || []);
+        let time = beatmap.offset || 0;
+        for (let i = 0; i < tempos.length && tempos[i].beat < beat; i++) {
+            const end = i + 1 < tempos.length ? Math.min(tempos[i + 1].beat, beat) : beat;
+            time += (end - tempos[i].beat) * 60000 / tempos[i].bpm;
+        }
+        return time;
+    }
+
+    // Number of beats in a track: up to the end of the bar of its last beat
+    function trackBeats(beatmap) {
+        const beatsPerBar = beatmap.timeSignature[0];
+        const beats = beatmap.beats;
+        return (Math.floor(beats[beats.length - 1] / beatsPerBar) + 1) * beatsPerBar;
+    }
+
+    // Check a beatmap; returns a description of the problem, or null if it is valid
+    function validateBeatmap(beatmap) {
+        if (!beatmap || typeof beatmap !== 'object') return 'Beatmap is missing';
+        if (typeof beatmap.title !== 'string' || !beatmap.title.trim() || beatmap.title.length > MAX_TITLE_LENGTH) {
+            return `Title must be 1 to ${MAX_TITLE_LENGTH} characters`;
+        }
+        if (!isBpm(beatmap.bpm)) return `BPM must be from ${MIN_BPM} to ${MAX_BPM}`;
+
+        const signature = beatmap.timeSignature;
+        if (!Array.isArray(signature) || signature.length !== 2 ||
+            !Number.isInteger(signature[0]) || signature[0] < 1 || signature[0] > MAX_BEATS_PER_BAR ||
+            !BEAT_VALUES.includes(signature[1])) {
+            return 'Time signature must be like [4, 4]';
+        }
+        if (beatmap.offset !== undefined &&
+            !(typeof beatmap.offset === 'number' && beatmap.offset >= 0 && beatmap.offset <= MAX_OFFSET)) {
+            return `Offset must be from 0 to ${MAX_OFFSET} ms`;
+        }
+
+        const tempoChanges = beatmap.tempoChanges || [];
+        if (!Array.isArray(tempoChanges) || tempoChanges.length > MAX_TEMPO_CHANGES) return 'Invalid tempo changes';
+        let previousBeat = 0;
+        for (const change of tempoChanges) {
+            if (!change || !Number.isFinite(change.beat) || change.beat <= previousBeat || !isBpm(change.bpm)) {
+                return 'Tempo changes must be in order, after beat 0, with a valid BPM';
+            }
+            previousBeat = change.beat;
+        }
+
+        const beats = beatmap.beats;
+        if (!Array.isArray(beats) || beats.length === 0 || beats.length > MAX_BEATS) {
+            return `Beats must be a list of 1 to ${MAX_BEATS} beats`;
+        }
+        for (let i = 0; i < beats.length; i++) {
+            if (!Number.isFinite(beats[i]) || beats[i] < 0 || (i > 0 && beats[i] <= beats[i - 1])) {
+                return 'Beats must be in order, from beat 0';
+            }
+        }
+
+        // Checked before compiling, which takes time in proportion to the length
+        if (beatTimeIn(beatmap, trackBeats(beatmap)) > MAX_DURATION) return 'Track is too long';
+
+        const track = compileBeatmap(beatmap);
+        for (let i = 1; i < track.strideTimes.length; i++) {
+            if (track.strideTimes[i] - track.strideTimes[i - 1] < MIN_STRIDE_GAP) {
+                return `Beats ${beats[i - 1]} and ${beats[i]} are too close together to ski`;
+            }
+        }
+
+        return null;
+    }
+
+    // Parse and check beatmap JSON (e.g. from a file), throwing an Error
+    // describing the problem if it isn't a valid beatmap
+    function parseBeatmap(text) {
+        let beatmap;
+        try {
+            beatmap = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Beatmap isn't valid JSON: ${error.message}`);
+        }
+
+        const error = validateBeatmap(beatmap);
+        if (error) throw new Error(error);
+        return beatmap;
+    }
+
+    // Work out when everything in a valid beatmap happens, in milliseconds
+    // from the start of the run: the strides, the start of each bar, and a
+    // pulse on every beat for the music (with its length and place in the bar)
+    function compileBeatmap(beatmap) {
+        const beatsPerBar = beatmap.timeSignature[0];
+        const beatTime = beat => beatTimeIn(beatmap, beat);
+        const totalBeats = trackBeats(beatmap);
+        const pulses = [];
+        for (let beat = 0; beat < totalBeats; beat++) {
+            const time = beatTime(beat);
+            pulses.push({
+                time,
+                length: beatTime(beat + 1) - time,
+                beatInBar: beat % beatsPerBar,
+                bar: Math.floor(beat / beatsPerBar)
+            });
+        }
+
+        return {
+            title: beatmap.title,
+            beatsPerBar,
+            strideTimes: beatmap.beats.map(beatTime),
+            barTimes: pulses.filter(pulse => pulse.beatInBar === 0).map(pulse => pulse.time),
+            pulses,
+            endTime: beatTime(totalBeats)
+        };
+    }
+
+    // Generate the beatmap of a built-in track: a count-in, then bars of
+    // strides picked at random from the patterns for its meter, ending on
+    // the first beat of the last bar
+    function generateTrack(track) {
+        const rng = createRng(track.seed);
+        const patterns = BAR_PATTERNS[track.beatsPerBar];
+        const beats = [];
+
+        for (let bar = 0; bar < track.bars; bar++) {
+            let pattern = patterns[Math.floor(rng() * patterns.length)];
+            if (bar < COUNT_IN_BARS) {
+                pattern = patterns[0];
+            } else if (bar === track.bars - 1) {
+                pattern = [0];
+            }
+            pattern.forEach(beat => beats.push(bar * track.beatsPerBar + beat));
+        }
+
+        return {
+            title: track.title,
+            bpm: track.bpm,
+            timeSignature: [track.beatsPerBar, 4],
+            offset: TRACK_OFFSET,
+            tempoChanges: track.tempoChanges.map(change => ({ beat: change.bar * track.beatsPerBar, bpm: change.bpm })),
+            beats
+        };
+    }
+
+    // The beatmaps of the built-in tracks
+    function builtInBeatmaps() {
+        return BUILT_IN_TRACKS.map(generateTrack);
+    }
+
+    Object.assign(Beatmap, {
+        validateBeatmap,
+        parseBeatmap,
+        compileBeatmap,
+        generateTrack,
+        builtInBeatmaps
+    });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.Beatmap = {}));
@@ -1,75 +1,185 @@
-// Game constants
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 400;
-const SKIER_VERTICAL_OFFSET = 65;
-const FPS = 60;
+// Game constants (world dimensions and timing come from the game core)
+const { CANVAS_WIDTH, CANVAS_HEIGHT, STEP_MS } = GameCore;
+const MAX_FRAME_TIME = 250; // Cap catch-up after a stall (e.g. background tab)
 const SERVER_URL = 'https://skiingjs.appspot.com';
 
 // Game variables
 let canvas, ctx;
-let score = 0;
-let worldX = 0;
 let highScores = [];
 
 // Game state management
 const GameScreen = {
   START: 'start',
   PLAYING: 'playing',
-  GAME_OVER: 'gameOver'
+  GAME_OVER: 'gameOver',
+  CRASH: 'crash',
+  REPLAY: 'replay',
+  STATS: 'stats',
+  TRACKS: 'tracks'
 };
 
 let currentScreen = GameScreen.START;
 
-// Skier properties
-let skier = {
-    x: 100,
-    y: CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET,
-    speed: 0,
-    maxSpeed: 5,
-    jumpVelocity: -12,
-    gravity: 0.5,
-    isJumping: false,
-    isDucking: false, // For ducking under bridges
-    duckTimer: 0,      // How long to stay ducked
-    yVelocity: 0,
-    animationFrame: 0, // 0 or 1 for diagonal stride poses
-    animationProgress: 0, // For smooth animation transitions
-    poleAngle: 0, // For dynamic pole movement
-    bodyLean: 0, // Forward lean that increases with speed
-    height: 60    // Normal skier height (reduced when ducking)
+// Game modes
+const GameMode = {
+  CLASSIC: 'classic',
+  DAILY: 'daily',
+  MARATHON: 'marathon', // Crashes cost health instead of ending the run
+  RHYTHM: 'rhythm'      // Ski to the beats of a track (T on the start screen)
 };
 
-// Rhythm mechanics
-let lastKeyTime = Date.now();
-const TARGET_RHYTHM = 400; // 0.4s between taps
-const BASE_RHYTHM_TOLERANCE = 200; // ±0.2s - starting tolerance
-const MIN_RHYTHM_TOLERANCE = 80; // Minimum tolerance at max speed
-let rhythmTolerance = BASE_RHYTHM_TOLERANCE; // Current tolerance (decreases with speed)
-let lastKey = null;
-let rhythmScore = 0.3; // Start with some momentum (0 to 1)
-const RHYTHM_DECAY = 0.01; // Slower decay
-const RHYTHM_GAIN = 0.15; // Faster gain
-
-// Obstacles
-let obstacles = [];
-const SPAWN_INTERVAL = 120;
-let spawnTimer = 0;
-
-// Spectators
-let spectators = [];
-const SPECTATOR_SPAWN_INTERVAL = 80;
-let spectatorSpawnTimer = 0;
+let currentMode = GameMode.CLASSIC;
+
+// Rhythm Tracks - the built-in tracks, picked by number on the tracks
+// screen, and the beatmap of the track being skied (see beatmap.js)
+const BUILT_IN_BEATMAPS = Beatmap.builtInBeatmaps();
+let rhythmBeatmap = null;
+
+// Daily Ski - everyone gets the same course each (UTC) day, and only the
+// first attempt of the day counts for the daily leaderboard
+const DAILY_ATTEMPT_KEY = 'dailyAttemptDate';
+let dailyDate = null;          // Date of the daily course being skied
+let dailyRunIsScored = false;  // False for practice runs after the scored attempt
+let dailyHighScores = [];
+
+// Leaderboard tabs, switched with the arrow keys on the leaderboard screen
+const LeaderboardTab = {
+  ALL_TIME: 'all-time',
+  WEEK: 'week',
+  MONTH: 'month',
+  MARATHON: 'marathon',
+  PERSONAL: 'personal'
+};
+
+const LEADERBOARD_TABS = [
+  { tab: LeaderboardTab.ALL_TIME, label: 'ALL-TIME' },
+  { tab: LeaderboardTab.WEEK, label: 'THIS WEEK' },
+  { tab: LeaderboardTab.MONTH, label: 'THIS MONTH' },
+  { tab: LeaderboardTab.MARATHON, label: 'MARATHON' },
+  { tab: LeaderboardTab.PERSONAL, label: 'PERSONAL BEST' }
+];
+
+let leaderboardTab = null; // Tab being shown, or null when the tabbed leaderboard is closed
+
+// Player account - an anonymous id and secret token from the server, plus
+// the username once one is claimed. Scores are submitted as this player.
+const PLAYER_ACCOUNT_KEY = 'playerAccount';
+let playerAccountRequest = null; // Account being created, shared by everyone who needs it meanwhile
+
+// The server's word lists, cached with their ETag so they are only
+// downloaded again when they change
+const BAD_WORDS_KEY = 'badWords';
+
+// Queued score submissions (see queueSubmission)
+const SUBMISSION_DB_NAME = 'skiing';
+const SUBMISSION_STORE = 'submissions';
+const SubmissionStatus = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  REJECTED: 'rejected'
+};
+const SUBMISSION_RETRY_MS = 60 * 1000;   // Retry after a network or server error
+const MAX_FINISHED_SUBMISSIONS = 50;     // Submitted/rejected runs kept for their status
+let submissionDb = null;                 // Promise of the IndexedDB database, opened on first use
+let memorySubmissions = new Map();       // The queue when IndexedDB is unavailable
+let lastMemorySubmissionId = 0;
+let flushingSubmissions = false;
+let submissionRetryTimer = null;
+let lastSubmission = null;               // Queued submission of the most recent run
+
+// Every finished run is kept on this device for the stats screen (S on the start screen)
+const RUN_HISTORY_KEY = 'runHistory';
+const LEGACY_HIGH_SCORE_KEY = 'highScore'; // Best score saved by the original version of the game
+const MAX_RUN_HISTORY = 500;
+const STATS_CHART_RUNS = 30;   // Runs shown in the progress chart
+const STATS_RECENT_RUNS = 6;   // Runs listed under the chart
+const PIXELS_PER_METRE = 30;   // The skier is about 60 pixels (2 m) tall
+
+// Course seed - the whole course is generated from this so a run can be
+// reproduced exactly from its course code
+let courseSeed = randomSeed();
+let courseIsShared = false; // True when the player entered a course code
+
+// State of the current run, owned by the game core (see gamecore.js)
+let game = GameCore.createGame(courseSeed);
+
+// Token the server issued when the current run started; scores are only
+// accepted with the token of the run they came from
+let runToken = null;
+
+// Frame timing for the fixed-timestep loop
+let accumulator = 0;      // Real time not yet simulated
+let lastFrameTime = null; // requestAnimationFrame timestamp of the previous frame
+let renderAlpha = 0;      // How far rendering is between the last two steps (0 to 1)
+let pendingInputs = [];   // Keys pressed since the last simulation step
+
+// Names of the skiing techniques shown on the HUD
+const TECHNIQUE_LABELS = {
+  [GameCore.Technique.DIAGONAL]: 'STRIDE',
+  [GameCore.Technique.DOUBLE_POLE]: 'DOUBLE POLE',
+  [GameCore.Technique.HERRINGBONE]: 'HERRINGBONE',
+  [GameCore.Technique.TUCK]: 'TUCK'
+};
+
+// Course paces shown on the HUD, with the color of their stretch of the tempo strip
+const PACE_LABELS = {
+  [GameCore.Pace.SPRINT]: 'SPRINT',
+  [GameCore.Pace.CRUISE]: 'CRUISE',
+  [GameCore.Pace.CLIMB]: 'CLIMB'
+};
+const PACE_COLORS = {
+  [GameCore.Pace.SPRINT]: '#D00',
+  [GameCore.Pace.CRUISE]: '#0A0',
+  [GameCore.Pace.CLIMB]: '#A60'
+};
+const PACE_PREVIEW_SECONDS = 3; // How far ahead the tempo strip over the rhythm bar looks
+
+const CROWD_FULL_SPEED = 6; // The crowd cheers loudest at this speed and above
+
+// Beat lane shown instead of the tempo guide on rhythm tracks: beats scroll
+// from the right towards the hit line near its left end
+const BEAT_LANE_X = 230;
+const BEAT_LANE_WIDTH = 300;
+const BEAT_LANE_HIT_X = BEAT_LANE_X + 20;
+const BEAT_LANE_MS = 2000; // How far ahead the lane shows
+const GRADE_LABELS = {
+  [GameCore.BeatGrade.PERFECT]: 'PERFECT',
+  [GameCore.BeatGrade.GOOD]: 'GOOD',
+  [GameCore.BeatGrade.MISS]: 'MISS'
+};
+const GRADE_COLORS = {
+  [GameCore.BeatGrade.PERFECT]: '#0A0',
+  [GameCore.BeatGrade.GOOD]: '#06F',
+  [GameCore.BeatGrade.MISS]: '#D00'
+};
+
+// Terrain camera: hills are drawn flatter than they are skied so the slope ahead stays on screen
+const TERRAIN_VISUAL_SCALE = 0.6;
+const GROUND_STEP = 10;   // Width of the straight pieces the ground line is drawn with
+let cameraWorldX = 0;     // World x at the left edge of the screen
+let cameraElevation = 0;  // Course elevation drawn at the flat ground line
+
+// Replays
+const REPLAY_SCRUB_MS = 5000; // How far the arrow keys scrub in a replay
+let lastReplay = null;      // Recorded seed and inputs of the most recent run
+let lastRunToken = null;    // Run token of the most recent run, for submitting its score
+let replayPlayer = null;    // Re-simulates lastReplay while watching it
+let replayPaused = false;
+let replaySpeed = 1;        // 1x or 2x
+let finishedGame = null;    // State of the finished run, restored after the crash and the replay
+let lastRun = null;         // Stats of the most recent run, as kept in the run history
+
+// The final second of a run is replayed in slow motion before the game over screen
+const CRASH_REPLAY_MS = 1000;   // Game time replayed
+const CRASH_REPLAY_SPEED = 1 / 3;
+const CRASH_FREEZE_MS = 700;    // Real time the final frame is held
+let crashPlayer = null;         // Re-simulates the final second of lastReplay
+let crashFrozenAt = null;       // When the final frame was reached
 
 // Initialize game
 async function init() {
     console.log("Game initializing");
     
-    // Make sure MIN_RHYTHM_TOLERANCE is defined
-    if (typeof MIN_RHYTHM_TOLERANCE === 'undefined') {
-        console.warn("MIN_RHYTHM_TOLERANCE was undefined, setting to default 80");
-        window.MIN_RHYTHM_TOLERANCE = 80; // Backup definition
-    }
-    
     // Get canvas in a try/catch to debug any issues
     try {
         canvas = document.getElementById('gameCanvas');
@@ -84,9 +194,11 @@ async function init() {
         
         console.log("Canvas initialized:", canvas.width, "x", canvas.height);
         
-        // Reset critical game variables
-        rhythmTolerance = BASE_RHYTHM_TOLERANCE;
-        feedbackActive = false;
+        // Allow sharing a course through the URL (?course=CODE)
+        const sharedSeed = courseCodeToSeed(new URLSearchParams(window.location.search).get('course'));
+        if (sharedSeed !== null) {
+            selectCourse(sharedSeed, true);
+        }
         
         // Fetch high scores from server
         try {
@@ -95,6 +207,11 @@ async function init() {
             console.error("Error fetching high scores:", error);
         }
         
+        // Submit scores queued while offline, now and whenever the connection comes back
+        flushSubmissions();
+        window.addEventListener('online', flushSubmissions);
+        window.addEventListener('offline', showSubmissionStatus);
+        
         // Add event listeners for both keydown and click (for mobile/touch support)
         document.addEventListener('keydown', function(e) {
             console.log("Key pressed on document:", e.key, e.code);
@@ -116,9 +233,9 @@ async function init() {
                     startGame();
                     return;
                 } 
-                else if (currentScreen === GameScreen.GAME_OVER) {
-                    // On game over screen, clicking goes back to start screen
-                    console.log("Canvas clicked on game over screen - returning to start");
+                else if (currentScreen === GameScreen.GAME_OVER || currentScreen === GameScreen.STATS) {
+                    // On game over and stats screens, clicking goes back to start screen
+                    console.log("Canvas clicked on", currentScreen, "screen - returning to start");
                     renderStartScreen();
                     return;
                 }
@@ -147,9 +264,9 @@ async function init() {
                         }
                         return;
                     } 
-                    else if (currentScreen === GameScreen.GAME_OVER) {
-                        // On game over screen, any click goes back to start screen
-                        console.log("Body clicked on game over screen - returning to start");
+                    else if (currentScreen === GameScreen.GAME_OVER || currentScreen === GameScreen.STATS) {
+                        // On game over and stats screens, any click goes back to start screen
+                        console.log("Body clicked on", currentScreen, "screen - returning to start");
                         renderStartScreen();
                         return;
                     }
@@ -178,12 +295,62 @@ async function init() {
 
 // Handle key presses
 function handleKeyDown(event) {
-    const currentTime = Date.now();
-
     // Debug log to see what key was pressed
     console.log("Key pressed:", event.key, "Current screen:", currentScreen);
 
+    // Browsers only allow sound once the player has pressed something
+    unlockAudio();
+    if (handleAudioKey(event)) {
+        return;
+    }
+
+    if (currentScreen === GameScreen.REPLAY) {
+        handleReplayKey(event);
+        return;
+    }
+
+    // ENTER or ESC skips the slow-motion crash; everything else is ignored,
+    // since the player is probably still pressing gameplay keys
+    if (currentScreen === GameScreen.CRASH) {
+        if (event.key === 'Enter' || event.key === 'Escape') {
+            endCrashReplay();
+        }
+        return;
+    }
+
     if (currentScreen !== GameScreen.PLAYING) {
+        // Arrow keys switch tabs while the leaderboard is open; any other key closes it
+        if (leaderboardTab !== null && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+            const index = LEADERBOARD_TABS.findIndex(entry => entry.tab === leaderboardTab);
+            const offset = event.key === 'ArrowLeft' ? -1 : 1;
+            showFullLeaderboard(LEADERBOARD_TABS[(index + offset + LEADERBOARD_TABS.length) % LEADERBOARD_TABS.length].tab);
+            return;
+        }
+        leaderboardTab = null;
+        
+        // SPACE or ESC closes the stats screen
+        if (currentScreen === GameScreen.STATS) {
+            if (event.key === ' ' || event.key === 'Escape') {
+                renderStartScreen();
+            }
+            return;
+        }
+        
+        // Number keys pick a rhythm track, F loads one from a file and ESC goes back
+        if (currentScreen === GameScreen.TRACKS) {
+            const beatmap = BUILT_IN_BEATMAPS[parseInt(event.key, 10) - 1];
+            if (beatmap) {
+                console.log("Starting rhythm track:", beatmap.title);
+                rhythmBeatmap = beatmap;
+                startGame(GameMode.RHYTHM);
+            } else if (event.key === 'f' || event.key === 'F') {
+                loadBeatmapFile();
+            } else if (event.key === 'Escape') {
+                renderStartScreen();
+            }
+            return;
+        }
+        
         // Space key handling (either start the game or return to main screen)
         if (event.key === ' ' || event.code === 'Space') {
             // Different behavior based on current screen
@@ -204,75 +371,144 @@ function handleKeyDown(event) {
         // L key for leaderboard functions
         if (event.key === 'l' || event.key === 'L') {
             console.log("L key pressed - viewing leaderboard");
-            showFullLeaderboard();
+            // After a daily run, show how it compares with everyone else today
+            if (currentScreen === GameScreen.GAME_OVER && currentMode === GameMode.DAILY) {
+                showDailyLeaderboard();
+            } else if (currentScreen === GameScreen.GAME_OVER && currentMode === GameMode.MARATHON) {
+                showFullLeaderboard(LeaderboardTab.MARATHON);
+            } else {
+                showFullLeaderboard();
+            }
             return;
         }
         
-        return;
-    }
-
-    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
-        const timeDiff = currentTime - lastKeyTime;
-        
-        // Calculate rhythm tolerance based on current speed (harder at high speeds)
-        rhythmTolerance = BASE_RHYTHM_TOLERANCE - (BASE_RHYTHM_TOLERANCE - MIN_RHYTHM_TOLERANCE) * rhythmScore;
-        
-        // Always alternate between left and right for animation
-        if (lastKey !== event.key) {
-            skier.animationFrame = (skier.animationFrame + 1) % 2;
-            skier.animationProgress = 0; // Reset animation progress for fluid movement
-            
-            // Check if timing is good
-            if (timeDiff >= TARGET_RHYTHM - rhythmTolerance &&
-                timeDiff <= TARGET_RHYTHM + rhythmTolerance) {
-                // Good rhythm - increase speed
-                rhythmScore = Math.min(rhythmScore + RHYTHM_GAIN, 1);
-                // Flash visual feedback
-                showRhythmFeedback(true);
-            } else {
-                // Bad rhythm - small penalty but don't reset completely
-                rhythmScore = Math.max(rhythmScore - RHYTHM_GAIN * 0.5, 0.1);
-                showRhythmFeedback(false);
+        // Course selection and account management on the start screen
+        if (currentScreen === GameScreen.START) {
+            if (event.key === 'u' || event.key === 'U') {
+                console.log("U key pressed - choosing username");
+                chooseUsername();
+                return;
+            }
+            if (event.key === 'k' || event.key === 'K') {
+                console.log("K key pressed - showing recovery code");
+                manageRecoveryCode();
+                return;
+            }
+            if (event.key === 'c' || event.key === 'C') {
+                console.log("C key pressed - entering course code");
+                promptForCourseCode();
+                return;
+            }
+            if (event.key === 'n' || event.key === 'N') {
+                console.log("N key pressed - picking a new course");
+                selectCourse(randomSeed(), false);
+                renderStartScreen();
+                return;
+            }
+            if (event.key === 'd' || event.key === 'D') {
+                console.log("D key pressed - starting Daily Ski");
+                startGame(GameMode.DAILY);
+                return;
+            }
+            if (event.key === 'm' || event.key === 'M') {
+                console.log("M key pressed - starting Marathon");
+                startGame(GameMode.MARATHON);
+                return;
+            }
+            if (event.key === 's' || event.key === 'S') {
+                console.log("S key pressed - showing stats");
+                showStats();
+                return;
+            }
+            if (event.key === 't' || event.key === 'T') {
+                console.log("T key pressed - choosing a rhythm track");
+                showTracks();
+                return;
             }
-            
-            // Always move forward, just at different speeds
-            skier.speed = skier.maxSpeed * Math.max(rhythmScore, 0.2); 
         }
         
-        lastKey = event.key;
-        lastKeyTime = currentTime;
-    } else if (event.key === ' ' && !skier.isJumping) {
-        // Jump over obstacles
-        skier.isJumping = true;
-        skier.yVelocity = skier.jumpVelocity;
-    } else if (event.key === 'ArrowDown') {
-        // Duck under bridges
-        if (!skier.isDucking && !skier.isJumping) {
-            skier.isDucking = true;
-            skier.duckTimer = 45; // Duck for 40 frames (about 0.67 second) - longer duck for bridges
+        // Replay of the run that just ended
+        if (currentScreen === GameScreen.GAME_OVER) {
+            if (event.key === 'r' || event.key === 'R') {
+                console.log("R key pressed - watching replay");
+                startReplay();
+                return;
+            }
+            if (event.key === 'e' || event.key === 'E') {
+                console.log("E key pressed - exporting replay");
+                exportReplay();
+                return;
+            }
         }
+        
+        return;
+    }
+
+    // A held key repeats; only the press itself counts, and recording every
+    // repeat would bloat long replays
+    if (event.repeat) {
+        return;
+    }
+    
+    // Gameplay keys are applied on the next simulation step so their timing
+    // is measured in simulation time, not wall-clock time
+    pendingInputs.push(event.key);
+}
+
+// V turns the sound on or off and -/+ change the volume, on any screen
+function handleAudioKey(event) {
+    if (event.key === 'v' || event.key === 'V') {
+        toggleMute();
+    } else if (event.key === '-') {
+        changeVolume(-1);
+    } else if (event.key === '+' || event.key === '=') {
+        changeVolume(1);
+    } else {
+        return false;
     }
+    
+    if (currentScreen === GameScreen.START) {
+        renderStartScreen();
+    }
+    return true;
 }
 
 // Start the game
-function startGame() {
+function startGame(mode = GameMode.CLASSIC) {
     console.log("startGame function called");
     currentScreen = GameScreen.PLAYING;
-    score = 0;
-    worldX = 0;
-    skier.y = CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET;
-    skier.isJumping = false;
-    skier.isDucking = false;
-    skier.yVelocity = 0;
-    skier.speed = skier.maxSpeed * 0.2; // Start with some speed
-    rhythmScore = 0.3; // Start with some rhythm
-    lastKeyTime = Date.now();
-    obstacles = [];
-    spawnTimer = 0;
-    spectators = [];
-    spectatorSpawnTimer = 0;
-    feedbackActive = false;
-    gameLoop();
+    currentMode = mode;
+    
+    let seed = courseSeed;
+    if (mode === GameMode.DAILY) {
+        dailyDate = dailyDateString();
+        seed = dailyCourseSeed(dailyDate);
+        
+        // The first attempt of the day is the scored one, even if it is
+        // abandoned. The server has the final say (see requestDailyRunToken).
+        dailyRunIsScored = !hasUsedDailyAttempt(dailyDate);
+        markDailyAttemptUsed(dailyDate);
+    }
+    
+    // Same seed always gives the same course. Rhythm tracks have no
+    // leaderboard, so they don't need a run token.
+    runToken = null;
+    if (mode === GameMode.RHYTHM) {
+        game = GameCore.createGame(seed, GameCore.RunMode.RHYTHM, rhythmBeatmap);
+    } else {
+        game = GameCore.createGame(seed, mode === GameMode.MARATHON ? GameCore.RunMode.MARATHON : GameCore.RunMode.CLASSIC);
+        if (mode === GameMode.DAILY && dailyRunIsScored) {
+            requestDailyRunToken(game);
+        } else {
+            requestRunToken(game);
+        }
+    }
+    accumulator = 0;
+    lastFrameTime = null;
+    pendingInputs = [];
+    unlockAudio();
+    resetMusic();
+    requestAnimationFrame(gameLoop);
     
     // Hide the start button once the game starts
     const startButton = document.getElementById('startButton');
@@ -284,293 +520,267 @@ function startGame() {
 // Expose startGame to the window so it can be called from HTML
 window.gameStartFunction = startGame;
 
-// Game loop
-function gameLoop() {
-    if (currentScreen !== GameScreen.PLAYING) return;
+// Whether the scored daily attempt for a date has been used on this device
+function hasUsedDailyAttempt(date) {
+    try {
+        return localStorage.getItem(DAILY_ATTEMPT_KEY) === date;
+    } catch (error) {
+        console.error("Error reading daily attempt:", error);
+        return false;
+    }
+}
 
-    update();
-    render();
+// Remember that the scored daily attempt for a date has been used
+function markDailyAttemptUsed(date) {
+    try {
+        localStorage.setItem(DAILY_ATTEMPT_KEY, date);
+    } catch (error) {
+        console.error("Error saving daily attempt:", error);
+    }
+}
 
-    requestAnimationFrame(gameLoop);
+// The player account kept on this device ({ id, token, name }), or null
+function loadPlayerAccount() {
+    try {
+        return JSON.parse(localStorage.getItem(PLAYER_ACCOUNT_KEY));
+    } catch (error) {
+        console.error("Error reading player account:", error);
+        return null;
+    }
 }
 
-// Visual feedback variables
-let feedbackTimer = 0;
-let feedbackActive = false;
-let feedbackIsGood = false;
+// Keep the player account on this device
+function savePlayerAccount(account) {
+    try {
+        localStorage.setItem(PLAYER_ACCOUNT_KEY, JSON.stringify(account));
+    } catch (error) {
+        console.error("Error saving player account:", error);
+    }
+}
 
-// Error tracking
-let gameErrors = [];
+// Runs finished on this device, oldest first
+function loadRunHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(RUN_HISTORY_KEY)) || [];
+    } catch (error) {
+        console.error("Error reading run history:", error);
+        return [];
+    }
+}
+
+// Add a finished run to the history, dropping the oldest runs once it is full
+function recordRun(state) {
+    const strides = state.goodStrides + state.badStrides;
+    const run = {
+        date: Date.now(),
+        mode: currentMode,
+        course: seedToCourseCode(state.seed),
+        score: state.score,
+        distance: Math.round(state.worldX / PIXELS_PER_METRE),
+        duration: Math.round(state.time),
+        cause: state.causeOfDeath,
+        crashes: state.crashes,
+        maxSpeed: Math.round(toKilometresPerHour(state.topSpeed) * 10) / 10,
+        accuracy: strides > 0 ? state.goodStrides / strides : null
+    };
+
+    const history = loadRunHistory();
+    history.push(run);
+    try {
+        localStorage.setItem(RUN_HISTORY_KEY, JSON.stringify(history.slice(-MAX_RUN_HISTORY)));
+    } catch (error) {
+        console.error("Error saving run history:", error);
+    }
+    return run;
+}
 
-// Show visual feedback for rhythm
-function showRhythmFeedback(isGood) {
-    feedbackActive = true;
-    feedbackIsGood = isGood;
-    feedbackTimer = 20; // Show feedback for 20 frames
+// Skier speed (pixels per simulation step) in km/h
+function toKilometresPerHour(speed) {
+    return speed * (1000 / STEP_MS) / PIXELS_PER_METRE * 3.6;
+}
+
+// The best score from the original version of the game, or 0
+function loadLegacyHighScore() {
+    try {
+        return parseInt(localStorage.getItem(LEGACY_HIGH_SCORE_KEY), 10) || 0;
+    } catch (error) {
+        return 0;
+    }
 }
 
-// Update game state
-function update() {
-    updateSkier();
-    updateObstacles();
-    updateSpectators();
-    checkCollisions();
+// The recovery code of an account: enter it on another device to play as the same player
+function recoveryCode(account) {
+    return `${account.id}.${account.token}`;
+}
 
-    // Always move forward (even if slowly when no rhythm)
-    worldX += Math.max(skier.speed, 0.5);
-    score = Math.floor(worldX / 10);
+// Choose the course for the next run
+function selectCourse(seed, isShared) {
+    courseSeed = seed >>> 0;
+    courseIsShared = isShared;
+    console.log("Course selected:", seedToCourseCode(courseSeed));
+}
 
-    // Gradually decrease rhythm when not pressing keys
-    if (Date.now() - lastKeyTime > TARGET_RHYTHM + rhythmTolerance) {
-        rhythmScore = Math.max(rhythmScore - RHYTHM_DECAY, 0.1);
-        skier.speed = skier.maxSpeed * Math.max(rhythmScore, 0.2);
+// Ask the player for a course code to replay a shared course
+function promptForCourseCode() {
+    const code = prompt("Enter a course code:", seedToCourseCode(courseSeed));
+    
+    // User clicked cancel
+    if (code === null) {
+        return;
     }
     
-    // Update feedback timer
-    if (feedbackActive) {
-        feedbackTimer--;
-        if (feedbackTimer <= 0) {
-            feedbackActive = false;
-        }
+    const seed = courseCodeToSeed(code);
+    if (seed === null) {
+        alert("That is not a valid course code.");
+        return;
     }
+    
+    selectCourse(seed, true);
+    renderStartScreen();
 }
 
-// Update skier
-function updateSkier() {
-    // Handle jumping physics
-    if (skier.isJumping) {
-        skier.y += skier.yVelocity;
-        skier.yVelocity += skier.gravity;
-        if (skier.y >= CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET) {
-            skier.y = CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET;
-            skier.isJumping = false;
-            skier.yVelocity = 0;
+// Game loop - advances the simulation in fixed steps and renders in between
+function gameLoop(timestamp) {
+    if (currentScreen !== GameScreen.PLAYING) return;
+
+    if (lastFrameTime === null) {
+        lastFrameTime = timestamp;
+    }
+    accumulator += Math.min(timestamp - lastFrameTime, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+
+    while (accumulator >= STEP_MS && currentScreen === GameScreen.PLAYING) {
+        const before = soundSnapshot(game);
+        GameCore.step(game, pendingInputs);
+        pendingInputs = [];
+        accumulator -= STEP_MS;
+        playStepSounds(before);
+        
+        if (game.isOver) {
+            gameOver();
         }
     }
     
-    // Handle ducking
-    if (skier.isDucking) {
-        // Reduce height when ducking (hockey position)
-        skier.height = 25; // Even lower for better bridge clearance
-        
-        // Count down duck timer
-        skier.duckTimer--;
-        if (skier.duckTimer <= 0) {
-            skier.isDucking = false;
-            skier.height = 60; // Return to normal height
-        }
-    } else {
-        skier.height = 60; // Ensure normal height when not ducking
-    }
-    
-    // Smooth animation transitions
-    skier.animationProgress += 0.05 * skier.speed;
-    if (skier.animationProgress > 1) skier.animationProgress = 1;
-    
-    // Update pole angle based on animation frame and progress
-    const targetPoleAngle = (skier.animationFrame === 0) ? 30 : -30;
-    skier.poleAngle = skier.poleAngle * 0.9 + targetPoleAngle * 0.1;
-    
-    // Body lean increases with speed
-    const targetLean = Math.min(20, skier.speed * 2);
-    skier.bodyLean = skier.bodyLean * 0.95 + targetLean * 0.05;
-}
-
-// Update obstacles
-function updateObstacles() {
-    spawnTimer++;
-    if (spawnTimer >= SPAWN_INTERVAL) {
-        // Randomly choose between fallen skier and bridge obstacles
-        const obstacleType = Math.random() > 0.3 ? 'bridge' : 'skier';
-        
-        if (obstacleType === 'skier') {
-            // Create more detailed fallen skier obstacles
-            obstacles.push({
-                type: 'skier',
-                worldX: worldX + CANVAS_WIDTH + Math.random() * 200,
-                y: CANVAS_HEIGHT - 40,
-                width: 50,  // Wider to account for sprawled skier
-                height: 40,
-                poseType: Math.floor(Math.random() * 3), // 0-2 for different fallen poses
-                rotation: Math.random() * 0.5 - 0.25, // Random slight rotation
-                skisAngle: Math.random() * 50 - 25,  // Random ski angle
-                poleAngle: Math.random() * 40 - 20   // Random pole angle
-            });
+    if (currentScreen === GameScreen.PLAYING) {
+        const skier = game.skier;
+        const simTime = game.time - STEP_MS + accumulator;
+        if (game.track) {
+            updateTrackMusic(game.track, simTime);
         } else {
-            // Create bridge obstacles (need to duck under)
-            const bridge = {
-                type: 'bridge',
-                worldX: worldX + CANVAS_WIDTH + Math.random() * 300,
-                y: CANVAS_HEIGHT - 105, // Higher than ground but lower for hockey duck
-                width: 120,  // Wide bridge
-                height: 50,  // Low clearance - need to duck
-                bridgeHeight: 50 + Math.random() * 10, // Variable height
-                clearance: 50, // Space under bridge
-                spectators: [] // People cheering on the bridge
-            };
-            
-            // Add spectators on the bridge
-            const numSpectators = 2 + Math.floor(Math.random() * 3); // 2-4 spectators
-            for (let i = 0; i < numSpectators; i++) {
-                bridge.spectators.push({
-                    position: i / (numSpectators - 1), // 0 to 1 position along bridge
-                    animationOffset: Math.random() * 100, // Varied animation timing
-                    waving: Math.random() > 0.3, // Some are waving
-                    color: Math.floor(Math.random() * 6) // Different colored outfits
-                });
-            }
-            
-            obstacles.push(bridge);
+            updateMusic(GameCore.targetRhythm(game), game.lastKeyTime, simTime, !skier.isTucking && skier.fallTimer === 0);
         }
-        spawnTimer = 0;
+        updateCrowd(skier.speed / CROWD_FULL_SPEED);
     }
 
-    // Move obstacles at a speed relative to player's speed
-    obstacles.forEach(obstacle => obstacle.worldX -= 2 + skier.speed * 0.2);
-    
-    // Remove obstacles that are far behind
-    obstacles = obstacles.filter(obstacle => obstacle.worldX > worldX - 150);
+    render(accumulator / STEP_MS);
+
+    requestAnimationFrame(gameLoop);
 }
 
-// Update spectators along the route
-function updateSpectators() {
-    spectatorSpawnTimer++;
-    if (spectatorSpawnTimer >= SPECTATOR_SPAWN_INTERVAL) {
-        // Randomly spawn spectator groups on the sides, further away from player
-        const side = Math.random() > 0.5 ? 'left' : 'right';
-        
-        // Much greater distance from center to keep spectators in the background
-        const baseDistance = side === 'left' 
-            ? -150 - Math.random() * 200  // Left side, further away
-            : CANVAS_WIDTH + Math.random() * 200;  // Right side, further away
-            
-        // Position higher in the scene to create background depth effect
-        const baseY = CANVAS_HEIGHT - 90; // Higher up on the snow surface
-        
-        // Create a group of 3-5 spectators
-        const groupSize = 3 + Math.floor(Math.random() * 3);
-        const groupSpread = 40; // How spread out the group is
-        
-        // Add campfire or tent to some groups
-        const hasCampfire = Math.random() > 0.6;
-        const hasTent = !hasCampfire && Math.random() > 0.6;
-        
-        // Create the spectator group
-        const spectatorGroup = {
-            type: 'spectator_group',
-            worldX: worldX + baseDistance,
-            y: baseY,
-            side: side,
-            members: [],
-            hasCampfire: hasCampfire,
-            hasTent: hasTent,
-            campfireAnimationOffset: Math.random() * 100
-        };
-        
-        // Generate individual spectators in the group
-        for (let i = 0; i < groupSize; i++) {
-            // Position within group (circular arrangement if there's a campfire)
-            let offsetX, offsetY;
-            
-            if (hasCampfire) {
-                // Arrange in semicircle around campfire
-                const angle = (i / (groupSize - 1)) * Math.PI;
-                offsetX = Math.cos(angle) * 20;
-                offsetY = Math.sin(angle) * 10;
-                if (side === 'right') offsetX = -offsetX; // Flip for right side
-            } else {
-                // Arrange in loose cluster
-                offsetX = (Math.random() - 0.5) * groupSpread;
-                offsetY = (Math.random() - 0.5) * 20;
-            }
-            
-            // Individual spectator properties
-            spectatorGroup.members.push({
-                offsetX: offsetX,
-                offsetY: offsetY,
-                waving: Math.random() > 0.3, // All have arms, some are waving
-                jumping: Math.random() > 0.7, // Some are jumping with excitement
-                animationOffset: Math.random() * 100, // Different animation timing
-                color: Math.floor(Math.random() * 6), // Different colored outfits
-                animationSpeed: 0.5 + Math.random() * 1, // Different animation speeds
-                leftArmRaised: Math.random() > 0.5, // Which arm is raised if waving
-                rightArmRaised: Math.random() > 0.5  // Both arms might be raised
-            });
-        }
-        
-        spectators.push(spectatorGroup);
-        spectatorSpawnTimer = 0;
-    }
-    
-    // Move spectators at a speed relative to player's speed
-    spectators.forEach(spectator => spectator.worldX -= 2 + skier.speed * 0.2);
-    
-    // Remove spectators that are far behind
-    spectators = spectators.filter(spectator => spectator.worldX > worldX - 600);
-}
-
-// Check collisions
-function checkCollisions() {
-    obstacles.forEach(obstacle => {
-        const obstacleScreenX = obstacle.worldX - worldX;
-        
-        if (obstacle.type === 'skier') {
-            // For fallen skiers - can ONLY jump over them, not duck
-            if (
-                skier.x < obstacleScreenX + obstacle.width &&
-                skier.x + 20 > obstacleScreenX &&
-                skier.y < obstacle.y + obstacle.height &&
-                skier.y + skier.height > obstacle.y
-            ) {
-                // Must jump over fallen skiers, ducking doesn't help
-                if (!skier.isJumping) gameOver();
-            }
-        } else if (obstacle.type === 'bridge') {
-            // For bridges - need to duck under
-            if (
-                skier.x < obstacleScreenX + obstacle.width &&
-                skier.x + 20 > obstacleScreenX
-            ) {
-                // Check if skier is ducking properly
-                if (skier.isDucking) {
-                    // Ducking skier should pass under bridge
-                    // Hockey position has significantly reduced height (25px)
-                    // Only collide if head actually hits bridge bottom
-                    const duckingHeadY = skier.y + 12; // Head position while ducking
-                    if (duckingHeadY < obstacle.y + obstacle.height && 
-                        duckingHeadY > obstacle.y) {
-                        gameOver();
-                    }
-                } else {
-                    // If not ducking, collide with bridge
-                    if (skier.y < obstacle.y + obstacle.height && 
-                        skier.y + skier.height > obstacle.y) {
-                        gameOver();
-                    }
-                }
-            }
+// What the sounds of a step depend on, taken before the step
+function soundSnapshot(state) {
+    return {
+        goodStrides: state.goodStrides,
+        badStrides: state.badStrides,
+        easyStrides: state.easyStrides,
+        isJumping: state.skier.isJumping,
+        isDucking: state.skier.isDucking
+    };
+}
+
+// Play the sounds of what happened in the step just taken
+function playStepSounds(before) {
+    const skier = game.skier;
+    
+    if (game.goodStrides > before.goodStrides) {
+        playSound(Sound.GOOD_TAP);
+    }
+    if (game.badStrides > before.badStrides) {
+        playSound(Sound.BAD_TAP);
+    }
+    if (game.goodStrides + game.badStrides + game.easyStrides > before.goodStrides + before.badStrides + before.easyStrides) {
+        playSound(Sound.SWISH);
+    }
+    if (skier.isJumping && !before.isJumping) {
+        playSound(Sound.JUMP);
+    }
+    if (skier.isDucking && !before.isDucking) {
+        playSound(Sound.DUCK);
+    }
+    
+    // Bridges the skier has just made it under
+    game.obstacles.forEach(obstacle => {
+        if (obstacle.type === 'bridge' && !obstacle.passSoundPlayed && !obstacle.crashedInto &&
+            obstacle.worldX - game.worldX + obstacle.width < skier.x) {
+            obstacle.passSoundPlayed = true;
+            playSound(Sound.BRIDGE_PASS);
         }
     });
 }
 
-// Render everything
-function render() {
+// Error tracking
+let gameErrors = [];
+
+// Interpolate between the previous and current step for smooth rendering
+function interpolate(previous, current) {
+    return previous + (current - previous) * renderAlpha;
+}
+
+// Screen x position of an entity, interpolated between steps
+function toScreenX(entity) {
+    const entityX = entity.prevWorldX === undefined ? entity.worldX : interpolate(entity.prevWorldX, entity.worldX);
+    return entityX - interpolate(game.prevWorldX, game.worldX);
+}
+
+// Follow the course's elevation with the camera, looking a little ahead of the skier
+function updateTerrainCamera() {
+    cameraWorldX = interpolate(game.prevWorldX, game.worldX);
+    cameraElevation = (GameCore.elevationAt(game, cameraWorldX + game.skier.x) +
+        GameCore.elevationAt(game, cameraWorldX + CANVAS_WIDTH / 2)) / 2;
+}
+
+// How far below (positive) or above the flat ground line the snow at a screen x is drawn
+function groundOffset(screenX) {
+    return (cameraElevation - GameCore.elevationAt(game, cameraWorldX + screenX)) * TERRAIN_VISUAL_SCALE;
+}
+
+// Draw something standing on the snow at a screen x, moved up or down with the ground there
+function drawOnSlope(screenX, draw) {
+    ctx.save();
+    ctx.translate(0, groundOffset(screenX));
+    draw();
+    ctx.restore();
+}
+
+// Render everything, alpha being how far we are between the last two steps
+function render(alpha = 1) {
     // Make sure canvas exists before drawing
     if (!ctx) return;
     
+    renderAlpha = alpha;
+    const skier = game.skier;
+    
     try {
         ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        updateTerrainCamera();
     
-        // Sky background
+        // Sky background (down to the bottom, as the ground dips on descents)
         const skyGradient = ctx.createLinearGradient(0, 0, 0, CANVAS_HEIGHT - 60); // Increased snow area
         skyGradient.addColorStop(0, '#87CEEB'); // Sky blue
         skyGradient.addColorStop(1, '#E0F7FA'); // Lighter near horizon
         ctx.fillStyle = skyGradient;
-        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT - 60); // Increased snow area
+        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
         
-        // Snow ground - increased from 20px to 60px
+        // Snow ground - 60px deep, following the hills
         ctx.fillStyle = '#FFF';
-        ctx.fillRect(0, CANVAS_HEIGHT - 60, CANVAS_WIDTH, 60);
+        ctx.beginPath();
+        ctx.moveTo(0, CANVAS_HEIGHT);
+        for (let x = 0; x <= CANVAS_WIDTH; x += GROUND_STEP) {
+            ctx.lineTo(x, CANVAS_HEIGHT - 60 + groundOffset(x));
+        }
+        ctx.lineTo(CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.closePath();
+        ctx.fill();
         
         // Show any errors on screen
         if (gameErrors.length > 0) {
@@ -583,32 +793,31 @@ function render() {
         ctx.fillRect(CANVAS_WIDTH - 120, 10, 100, 10);
     
         // Bar fill color - blue normally, green for good rhythm, red for bad rhythm
-        if (feedbackActive) {
-            ctx.fillStyle = feedbackIsGood ? '#00FF00' : '#FF0000';
+        if (game.feedbackActive) {
+            ctx.fillStyle = game.feedbackIsGood ? '#00FF00' : '#FF0000';
         } else {
             ctx.fillStyle = '#00F';
         }
-        ctx.fillRect(CANVAS_WIDTH - 120, 10, 100 * rhythmScore, 10);
+        ctx.fillRect(CANVAS_WIDTH - 120, 10, 100 * game.rhythmScore, 10);
+        
+        // Stamina bar under it, red once the skier is too tired for full speed
+        const isTired = game.stamina < GameCore.FATIGUE_STAMINA;
+        ctx.fillStyle = '#CCC';
+        ctx.fillRect(CANVAS_WIDTH - 120, 24, 100, 6);
+        ctx.fillStyle = isTired ? '#D00' : '#FA0';
+        ctx.fillRect(CANVAS_WIDTH - 120, 24, 100 * game.stamina / GameCore.MAX_STAMINA, 6);
+        
+        ctx.fillStyle = '#000';
+        ctx.font = '10px Arial';
+        ctx.fillText('RHYTHM', CANVAS_WIDTH - 165, 19);
+        ctx.fillText('STAMINA', CANVAS_WIDTH - 165, 31);
     
-        // Show rhythm timing guide
-        if (rhythmScore > 0.1) {
-            const elapsed = Date.now() - lastKeyTime;
-            const nextBeatProgress = Math.min(elapsed / TARGET_RHYTHM, 1);
-            
-            // Show a marker for next optimal tap
-            ctx.fillStyle = "rgba(0,0,0,0.5)";
-            ctx.beginPath();
-            ctx.arc(CANVAS_WIDTH - 120 + (100 * nextBeatProgress), 15, 5, 0, Math.PI * 2);
-            ctx.fill();
+        // Rhythm tracks show the beats coming up instead of the tempo guide
+        if (game.track) {
+            drawBeatLane();
+        } else {
+            drawTempoGuide();
         }
-    
-        // Draw tempo text guide
-        ctx.fillStyle = '#000';
-        ctx.font = '14px Arial';
-        ctx.fillText('Tempo: tap L/R arrows', CANVAS_WIDTH - 220, 40);
-        
-        // Draw current tolerance indicator (harder at higher speeds)
-        ctx.fillText(`Tolerance: ${Math.floor(rhythmTolerance)}ms`, CANVAS_WIDTH - 220, 60);
         
         // Show active state indicators
         if (skier.isDucking) {
@@ -619,11 +828,15 @@ function render() {
             ctx.fillStyle = '#F00';
             ctx.fillText('JUMPING', CANVAS_WIDTH - 100, 100);
         }
+        if (isTired) {
+            ctx.fillStyle = '#D00';
+            ctx.fillText('TIRED - ease off', CANVAS_WIDTH - 130, 120);
+        }
         
         // Draw background spectators and spectator groups
-        spectators.forEach(spectator => {
+        game.spectators.forEach(spectator => {
             try {
-                const spectatorScreenX = spectator.worldX - worldX;
+                const spectatorScreenX = toScreenX(spectator);
                 // Extended visible range to prevent sudden appearance/disappearance
                 if (spectatorScreenX >= -300 && spectatorScreenX <= CANVAS_WIDTH + 300) {
                     // Always update screen position for consistent rendering
@@ -633,11 +846,13 @@ function render() {
                     // Place them on the snow (not floating) but visually in background
                     spectator.y = CANVAS_HEIGHT - 90; // Higher up in scene (on snow, but background)
                     
-                    if (spectator.type === 'spectator_group') {
-                        drawSpectatorGroup(spectator);
-                    } else {
-                        drawSpectator(spectator);
-                    }
+                    drawOnSlope(spectatorScreenX, () => {
+                        if (spectator.type === 'spectator_group') {
+                            drawSpectatorGroup(spectator);
+                        } else {
+                            drawSpectator(spectator);
+                        }
+                    });
                 }
             } catch (error) {
                 console.error("Error drawing spectator:", error);
@@ -645,12 +860,12 @@ function render() {
         });
     
         // Obstacles (behind skier)
-        obstacles.forEach(obstacle => {
+        game.obstacles.forEach(obstacle => {
             try {
                 // Draw obstacles that are behind the skier
-                const obstacleScreenX = obstacle.worldX - worldX;
+                const obstacleScreenX = toScreenX(obstacle);
                 if (obstacleScreenX + obstacle.width < skier.x) {
-                    drawObstacle(obstacle);
+                    drawOnSlope(obstacleScreenX + obstacle.width / 2, () => drawObstacle(obstacle));
                 }
             } catch (error) {
                 console.error("Error drawing obstacle:", error);
@@ -659,18 +874,18 @@ function render() {
         
         // Skier
         try {
-            drawSkier();
+            drawOnSlope(skier.x + 10, drawSkier);
         } catch (error) {
             console.error("Error drawing skier:", error);
         }
         
         // Obstacles (in front of skier)
-        obstacles.forEach(obstacle => {
+        game.obstacles.forEach(obstacle => {
             try {
                 // Draw obstacles that are in front of or at the skier
-                const obstacleScreenX = obstacle.worldX - worldX;
+                const obstacleScreenX = toScreenX(obstacle);
                 if (obstacleScreenX + obstacle.width >= skier.x) {
-                    drawObstacle(obstacle);
+                    drawOnSlope(obstacleScreenX + obstacle.width / 2, () => drawObstacle(obstacle));
                 }
             } catch (error) {
                 console.error("Error drawing obstacle:", error);
@@ -680,7 +895,7 @@ function render() {
         // Score and high score
         ctx.fillStyle = '#000';
         ctx.font = '24px Arial';
-        ctx.fillText(`Score: ${score}`, 10, 30);
+        ctx.fillText(`Score: ${game.score}`, 10, 30);
         
         // Display highest score if available
         if (highScores.length > 0) {
@@ -695,6 +910,17 @@ function render() {
         ctx.font = '14px Arial';
         ctx.fillText('↑↓ = Jump/Duck', 10, 120);
         
+        // Mode indicator, on a line of its own; only one of them applies to a run
+        ctx.fillStyle = '#D00';
+        if (currentMode === GameMode.DAILY) {
+            ctx.fillText(dailyRunIsScored ? `DAILY SKI ${dailyDate}` : `DAILY SKI ${dailyDate} (practice)`, 10, 140);
+        } else if (game.track) {
+            ctx.fillText(`TRACK: ${game.track.title}`, 10, 140);
+        } else if (game.mode === GameCore.RunMode.MARATHON) {
+            ctx.fillText('MARATHON', 10, 140);
+            drawHealthBar();
+        }
+        
     } catch (error) {
         console.error("Error in render function:", error);
         gameErrors.push(error.toString());
@@ -708,39 +934,201 @@ function render() {
     }
 }
 
-// Draw skier with realistic diagonal stride
-function drawSkier() {
-    ctx.save(); // Save context for transformations
+// Tempo guide beside the rhythm bar: the marker for the next stride, the
+// pace of the course coming up, and the technique to use
+function drawTempoGuide() {
+    // Show rhythm timing guide
+    if (game.rhythmScore > 0.1) {
+        const elapsed = game.time + (renderAlpha - 1) * STEP_MS - game.lastKeyTime;
+        const nextBeatProgress = Math.min(elapsed / GameCore.targetRhythm(game), 1);
+        
+        // Show a marker for next optimal tap
+        ctx.fillStyle = "rgba(0,0,0,0.5)";
+        ctx.beginPath();
+        ctx.arc(CANVAS_WIDTH - 120 + (100 * nextBeatProgress), 15, 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
     
-    // Apply jumping offset if jumping
-    let drawY = skier.y;
+    // Tempo strip over the rhythm bar: the pace of the course for the next
+    // few seconds at the current speed, so changes of tempo can be seen coming
+    drawTempoStrip();
     
-    // Colors
-    const skinColor = '#F5D0A9';
-    const hatColor = '#D00';
-    const jacketColor = '#1560BD';
-    const pantsColor = '#222';
-    const poleColor = '#888';
-    const skiColor = '#00A';
+    // Draw tempo text guide, with the next change of pace when it's close
+    const skier = game.skier;
+    const pace = GameCore.paceAt(game, game.worldX + skier.x);
+    const nextPace = GameCore.nextPaceChange(game);
+    const secondsToNextPace = nextPace && nextPace.distance / Math.max(skier.speed, 0.5) / GameCore.FPS;
+    ctx.fillStyle = '#000';
+    ctx.font = '14px Arial';
+    if (nextPace && secondsToNextPace <= PACE_PREVIEW_SECONDS) {
+        ctx.fillText(`Tempo: ${PACE_LABELS[pace]} → ${PACE_LABELS[nextPace.pace]} in ${Math.ceil(secondsToNextPace)}s`, CANVAS_WIDTH - 220, 40);
+    } else {
+        ctx.fillText(`Tempo: ${PACE_LABELS[pace]} ${Math.round(GameCore.targetRhythm(game))}ms`, CANVAS_WIDTH - 220, 40);
+    }
     
-    // Calculate lean based on speed and animation
-    const leanAmount = skier.bodyLean;
+    // Draw current tolerance indicator (harder at higher speeds)
+    ctx.fillText(`Tolerance: ${Math.floor(game.rhythmTolerance)}ms`, CANVAS_WIDTH - 220, 60);
     
-    // Set up drawing context
-    ctx.strokeStyle = '#000';
-    ctx.lineWidth = 2;
+    // Technique in use, and the one the terrain calls for when it's different
+    const suggestedTechnique = GameCore.terrainTechnique(game);
+    if (game.technique === suggestedTechnique) {
+        ctx.fillStyle = '#080';
+        ctx.fillText(TECHNIQUE_LABELS[game.technique], CANVAS_WIDTH - 220, 140);
+    } else {
+        ctx.fillStyle = '#D00';
+        ctx.fillText(`${TECHNIQUE_LABELS[game.technique]} → ${TECHNIQUE_LABELS[suggestedTechnique]}`, CANVAS_WIDTH - 220, 140);
+    }
+}
+
+// Rhythm tracks: the beats coming up scroll towards the hit line, between
+// bar lines, with the grade of the last stride and the grades so far under
+// the lane, and the time left in the track beside the rhythm bar
+function drawBeatLane() {
+    const track = game.track;
+    const now = game.time + (renderAlpha - 1) * STEP_MS;
+    const laneX = time => BEAT_LANE_HIT_X + (time - now) / BEAT_LANE_MS * (BEAT_LANE_X + BEAT_LANE_WIDTH - BEAT_LANE_HIT_X);
+    const isInLane = x => x >= BEAT_LANE_X && x <= BEAT_LANE_X + BEAT_LANE_WIDTH;
     
-    // Smooth transition between animation frames using progress
-    const progress = skier.animationProgress;
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.fillRect(BEAT_LANE_X, 8, BEAT_LANE_WIDTH, 22);
     
-    // Base position with forward lean
+    ctx.fillStyle = '#888';
+    track.barTimes.map(laneX).filter(isInLane).forEach(x => ctx.fillRect(x, 8, 1, 22));
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(BEAT_LANE_HIT_X - 1, 6, 2, 26);
+    
+    ctx.fillStyle = '#00F';
+    for (let i = game.nextBeat; i < track.strideTimes.length; i++) {
+        const x = laneX(track.strideTimes[i]);
+        if (x > BEAT_LANE_X + BEAT_LANE_WIDTH) break;
+        if (!isInLane(x)) continue;
+        ctx.beginPath();
+        ctx.arc(x, 19, 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    if (game.lastGrade && game.feedbackActive) {
+        ctx.fillStyle = GRADE_COLORS[game.lastGrade];
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText(GRADE_LABELS[game.lastGrade], BEAT_LANE_X, 46);
+    }
+    const grades = game.beatGrades;
+    ctx.fillStyle = '#000';
+    ctx.font = '12px Arial';
+    ctx.fillText(`Perfect ${grades.perfect}   Good ${grades.good}   Miss ${grades.miss}`, BEAT_LANE_X + 80, 46);
+    
+    ctx.font = '14px Arial';
+    ctx.fillText(`Track: ${formatReplayTime(Math.max(track.endTime - game.time, 0))} left`, CANVAS_WIDTH - 220, 40);
+}
+
+// The pace of each stretch of course the skier will reach in the next
+// PACE_PREVIEW_SECONDS, drawn left to right along the top of the rhythm bar
+function drawTempoStrip() {
+    const skierX = game.worldX + game.skier.x;
+    const previewDistance = Math.max(game.skier.speed, 0.5) * GameCore.FPS * PACE_PREVIEW_SECONDS;
+    
+    game.terrain.forEach(section => {
+        const start = Math.max(section.startX, skierX);
+        const end = Math.min(section.endX, skierX + previewDistance);
+        if (end <= start) return;
+        
+        ctx.fillStyle = PACE_COLORS[section.pace];
+        ctx.fillRect(CANVAS_WIDTH - 120 + 100 * (start - skierX) / previewDistance, 5, 100 * (end - start) / previewDistance, 4);
+    });
+}
+
+// Marathon health, under the mode indicator, turning from green to red as it runs out
+function drawHealthBar() {
+    const health = game.health / GameCore.MAX_HEALTH;
+    
+    ctx.fillStyle = '#CCC';
+    ctx.fillRect(10, 150, 100, 10);
+    ctx.fillStyle = health > 0.6 ? '#0A0' : (health > 0.3 ? '#FA0' : '#D00');
+    ctx.fillRect(10, 150, 100 * health, 10);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(10, 150, 100, 10);
+}
+
+// The player lying in the snow after a Marathon crash, in one of the fallen skier poses
+function drawFallenPlayer() {
+    const skier = game.skier;
+    drawFallenSkier({
+        worldX: game.worldX + skier.x - 10,
+        prevWorldX: game.prevWorldX + skier.x - 10,
+        y: skier.y + 25,
+        poseType: skier.fallPose,
+        rotation: 0,
+        skisAngle: 0,
+        poleAngle: 0,
+        hatColor: '#D00',
+        jacketColor: '#1560BD'
+    });
+}
+
+// Draw skier with realistic diagonal stride
+function drawSkier() {
+    const skier = game.skier;
+    if (skier.fallTimer > 0) {
+        drawFallenPlayer();
+        return;
+    }
+    ctx.save(); // Save context for transformations
+    
+    // Flicker while recovering from a Marathon crash
+    if (game.invulnerableTimer > 0 && Math.floor(game.invulnerableTimer / 6) % 2 === 0) {
+        ctx.globalAlpha = 0.4;
+    }
+    
+    // Apply jumping offset if jumping
+    let drawY = interpolate(skier.prevY, skier.y);
+    
+    // Lean with the slope, pivoting on the skis
+    const slopeAngle = Math.atan(GameCore.slopeAt(game, cameraWorldX + skier.x) * TERRAIN_VISUAL_SCALE);
+    ctx.translate(skier.x + 10, drawY + 60);
+    ctx.rotate(-slopeAngle);
+    ctx.translate(-(skier.x + 10), -(drawY + 60));
+    
+    // Ducking under a bridge and tucking on a descent share the crouched (hockey) position
+    const crouched = skier.isDucking || skier.isTucking;
+    
+    // Colors
+    const skinColor = '#F5D0A9';
+    const hatColor = '#D00';
+    const jacketColor = '#1560BD';
+    const pantsColor = '#222';
+    const poleColor = '#888';
+    const skiColor = '#00A';
+    
+    // Double poling and herringbone have their own animations
+    const isDoublePoling = game.technique === GameCore.Technique.DOUBLE_POLE;
+    const isHerringbone = game.technique === GameCore.Technique.HERRINGBONE;
+    
+    // Calculate lean based on speed and animation (double poling bends forward mid-push)
+    const leanAmount = skier.bodyLean + (isDoublePoling && !crouched ? 15 * Math.sin(skier.animationProgress * Math.PI) : 0);
+    
+    // Set up drawing context
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    
+    // Smooth transition between animation frames using progress
+    const progress = skier.animationProgress;
+    
+    // Base position with forward lean
     const baseX = skier.x;
     const baseY = drawY;
     
     // Calculate animation values for smoother transitions
     let leftArmForward, rightArmForward, leftLegForward, rightLegForward;
     
-    if (skier.animationFrame === 0) {
+    if (isDoublePoling) {
+        // Both arms reach forward and push back together, legs side by side
+        leftArmForward = 1 - progress;
+        rightArmForward = 1 - progress;
+        leftLegForward = 0.5;
+        rightLegForward = 0.5;
+    } else if (skier.animationFrame === 0) {
         // Transitioning to left arm forward
         leftArmForward = progress;
         rightArmForward = 1 - progress;
@@ -754,6 +1142,12 @@ function drawSkier() {
         rightLegForward = progress;
     }
     
+    // Herringbone steps are short
+    if (isHerringbone) {
+        leftLegForward = 0.5 + (leftLegForward - 0.5) * 0.4;
+        rightLegForward = 0.5 + (rightLegForward - 0.5) * 0.4;
+    }
+    
     // Calculate positions with lean
     const headX = baseX + 15 + leanAmount * 0.3;
     const headY = baseY + 10;
@@ -765,7 +1159,7 @@ function drawSkier() {
     // Calculate arm positions based on animation
     let leftArmAngle, rightArmAngle;
     
-    if (skier.isDucking) {
+    if (crouched) {
         // When ducking (hockey position), arms reach backwards
         leftArmAngle = 30;  // Arms back and up
         rightArmAngle = 30;
@@ -777,7 +1171,7 @@ function drawSkier() {
     // Calculate leg positions based on animation and ducking
     let leftLegExtension, rightLegExtension;
     
-    if (skier.isDucking) {
+    if (crouched) {
         // When ducking, legs are deeply bent (hockey position)
         leftLegExtension = 8;  // Lower crouch
         rightLegExtension = 8;
@@ -794,20 +1188,21 @@ function drawSkier() {
     const rightFootX = hipX + 5 + 10 * rightLegForward;
     const rightFootY = hipY + 15 + rightLegExtension;
     
-    // Skis (longer, under each foot)
+    // Skis (longer, under each foot), splayed into a V for herringbone
     ctx.strokeStyle = skiColor;
     ctx.lineWidth = 3;
+    const splay = isHerringbone ? 5 : 0;
     
     // Left ski with angle based on leg position
     ctx.beginPath();
-    ctx.moveTo(leftFootX - 20, leftFootY - leftLegForward * 2);
-    ctx.lineTo(leftFootX + 25, leftFootY + leftLegForward);
+    ctx.moveTo(leftFootX - 20, leftFootY - leftLegForward * 2 + splay);
+    ctx.lineTo(leftFootX + 25, leftFootY + leftLegForward - splay);
     ctx.stroke();
     
     // Right ski with angle based on leg position
     ctx.beginPath();
-    ctx.moveTo(rightFootX - 20, rightFootY - rightLegForward * 2);
-    ctx.lineTo(rightFootX + 25, rightFootY + rightLegForward);
+    ctx.moveTo(rightFootX - 20, rightFootY - rightLegForward * 2 - splay);
+    ctx.lineTo(rightFootX + 25, rightFootY + rightLegForward + splay);
     ctx.stroke();
     
     // Legs
@@ -844,7 +1239,7 @@ function drawSkier() {
     // Torso (with jacket)
     ctx.fillStyle = jacketColor;
     
-    if (skier.isDucking) {
+    if (crouched) {
         // Draw crouched torso when ducking (hockey position)
         // More horizontal, lower torso
         const crouchShoulderY = shoulderY + 5; // Lower shoulders
@@ -877,11 +1272,11 @@ function drawSkier() {
     const rightShoulderY = shoulderY + 2;
     
     // Calculate arm endpoints based on animation
-    const leftArmLength = skier.isDucking ? 18 : 15;
+    const leftArmLength = crouched ? 18 : 15;
     const leftHandX = leftShoulderX + Math.cos(leftArmAngle * Math.PI / 180) * leftArmLength;
     const leftHandY = leftShoulderY + Math.sin(leftArmAngle * Math.PI / 180) * leftArmLength;
     
-    const rightArmLength = skier.isDucking ? 18 : 15;
+    const rightArmLength = crouched ? 18 : 15;
     const rightHandX = rightShoulderX + Math.cos(rightArmAngle * Math.PI / 180) * rightArmLength;
     const rightHandY = rightShoulderY + Math.sin(rightArmAngle * Math.PI / 180) * rightArmLength;
     
@@ -923,8 +1318,8 @@ function drawSkier() {
     // Head position changes when ducking
     let drawHeadY = headY;
     let drawHeadX = headX;
-    if (skier.isDucking) {
-        drawHeadY = headY + 12; // Lower head when ducking
+    if (crouched) {
+        drawHeadY = headY + (skier.isDucking ? 12 : 8); // Lower head when ducking, a little less in a tuck
         drawHeadX = headX + 5;  // Head forward in hockey position
     }
     
@@ -946,7 +1341,7 @@ function drawSkier() {
     ctx.strokeStyle = poleColor;
     ctx.lineWidth = 1.5;
     
-    if (!skier.isDucking) {
+    if (!crouched) {
         // Only show poles pointing forward when not ducking
         // Left pole with dynamic angle
         const leftPoleAngle = 20 - leftArmForward * 40;
@@ -1005,7 +1400,7 @@ function drawSkier() {
 
 // Function to draw bridge obstacle
 function drawBridge(obstacle) {
-    const screenX = obstacle.worldX - worldX;
+    const screenX = toScreenX(obstacle);
     
     // Bridge colors
     const bridgeColor = '#8B4513'; // Brown wood
@@ -1202,7 +1597,7 @@ function drawBridgeSpectator(x, y, spectator) {
 function drawSpectatorGroup(group) {
     ctx.save();
     
-    const screenX = group.worldX - worldX;
+    const screenX = toScreenX(group);
     const baseY = group.y;
     
     // Draw campfire if present
@@ -1538,7 +1933,7 @@ function drawGroupMember(x, y, member, side) {
 function drawSpectator(spectator) {
     ctx.save();
     
-    const screenX = spectator.worldX - worldX;
+    const screenX = toScreenX(spectator);
     const y = spectator.y;
     
     // Animation timing
@@ -1739,7 +2134,7 @@ function drawObstacle(obstacle) {
 
 // Draw fallen skier (obstacle)
 function drawFallenSkier(obstacle) {
-    const screenX = obstacle.worldX - worldX;
+    const screenX = toScreenX(obstacle);
     ctx.save(); // Save context for transformations
     
     // Apply slight rotation for more natural look
@@ -1749,8 +2144,9 @@ function drawFallenSkier(obstacle) {
     
     // Colors for fallen skier
     const skinColor = '#F5D0A9';
-    const hatColor = obstacle.poseType === 0 ? '#D00' : (obstacle.poseType === 1 ? '#00D' : '#0A0');
-    const jacketColor = obstacle.poseType === 0 ? '#D82' : (obstacle.poseType === 1 ? '#48A' : '#589');
+    // The player's own colors are passed in when they have crashed in a Marathon
+    const hatColor = obstacle.hatColor || (obstacle.poseType === 0 ? '#D00' : (obstacle.poseType === 1 ? '#00D' : '#0A0'));
+    const jacketColor = obstacle.jacketColor || (obstacle.poseType === 0 ? '#D82' : (obstacle.poseType === 1 ? '#48A' : '#589'));
     const pantsColor = '#222';
     const poleColor = '#888';
     const skiColor = '#00A';
@@ -2033,6 +2429,11 @@ function drawFallenSkier(obstacle) {
 
 // Render start screen with detailed instructions
 function renderStartScreen() {
+    // Coming back from a run gets a fresh course, unless the player picked one
+    if (currentScreen === GameScreen.GAME_OVER && !courseIsShared) {
+        selectCourse(randomSeed(), false);
+    }
+    
     // Update game state
     currentScreen = GameScreen.START;
     
@@ -2053,6 +2454,7 @@ function renderStartScreen() {
     ctx.fillText('← → Ski with rhythm', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT / 2 - 40);
     ctx.fillText('SPACE to jump', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT / 2 - 10);
     ctx.fillText('↓ to duck', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT / 2 + 20);
+    ctx.fillText('← + → together to double pole', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT / 2 + 50);
 
     ctx.font = '20px Arial';
     ctx.fillStyle = '#0066FF';
@@ -2064,7 +2466,8 @@ function renderStartScreen() {
     ctx.scale(0.8, 0.8);
     const fallenSkierDemo = {
         type: 'skier',
-        worldX: worldX,
+        worldX: game.worldX,
+        prevWorldX: game.prevWorldX,
         y: 0,
         poseType: 0,
         rotation: 0,
@@ -2077,6 +2480,26 @@ function renderStartScreen() {
     // Draw a small skull as a teaser
     drawSkull(CANVAS_WIDTH / 2 + 130, CANVAS_HEIGHT / 2 + 20, 15);
     
+    // Course code for sharing and replaying courses
+    ctx.fillStyle = '#000';
+    ctx.font = '14px Arial';
+    ctx.fillText(`Course code: ${seedToCourseCode(courseSeed)}`, 20, CANVAS_HEIGHT - 50);
+    ctx.fillText(`${describeAudioSettings()} (V = on/off, -/+ = volume)`, 220, CANVAS_HEIGHT - 50);
+    ctx.fillText('C = enter course code, N = new course, S = your stats, T = rhythm tracks', 20, CANVAS_HEIGHT - 30);
+    
+    // Player account
+    const account = loadPlayerAccount();
+    const playerName = account && account.name ? account.name : 'guest';
+    ctx.fillText(`Playing as ${playerName} (U = username, K = recovery code)`, 20, CANVAS_HEIGHT - 90);
+    drawPendingSubmissions();
+    
+    // Daily Ski
+    ctx.fillStyle = '#D00';
+    const dailyText = hasUsedDailyAttempt(dailyDateString())
+        ? 'D = Daily Ski (practice, today\'s attempt used)'
+        : 'D = Daily Ski (one scored attempt per day)';
+    ctx.fillText(`${dailyText}, M = Marathon`, 20, CANVAS_HEIGHT - 70);
+    
     // Draw leaderboard
     drawLeaderboard();
     
@@ -2087,6 +2510,21 @@ function renderStartScreen() {
     }
 }
 
+// Scores waiting to be submitted, in the top left corner of the start screen
+function drawPendingSubmissions() {
+    loadSubmissions().then(records => {
+        const pending = records.filter(record => record.status === SubmissionStatus.PENDING).length;
+        // The player may have started a run in the meantime
+        if (pending === 0 || currentScreen !== GameScreen.START || leaderboardTab !== null) {
+            return;
+        }
+        ctx.fillStyle = '#D60';
+        ctx.font = '14px Arial';
+        const waitingFor = navigator.onLine ? '' : ' (offline)';
+        ctx.fillText(`${pending} score${pending === 1 ? '' : 's'} waiting to be submitted${waitingFor}`, 20, 25);
+    }).catch(error => console.error('Error reading queued submissions:', error));
+}
+
 // Draw leaderboard
 function drawLeaderboard() {
     if (highScores.length === 0) return;
@@ -2182,17 +2620,251 @@ function drawSkull(x, y, size) {
     ctx.restore();
 }
 
-// Fetch high scores from server
-async function fetchHighScores() {
+// The player account on this device, creating an anonymous one on the
+// server the first time. Resolves to null if the server can't be reached.
+// Calls made while the account is being created wait for the same one.
+async function ensurePlayerAccount() {
+    const existing = loadPlayerAccount();
+    if (existing) {
+        return existing;
+    }
+    
+    if (!playerAccountRequest) {
+        playerAccountRequest = createPlayerAccount().finally(() => {
+            playerAccountRequest = null;
+        });
+    }
+    return playerAccountRequest;
+}
+
+// Create an anonymous player on the server and keep it on this device
+async function createPlayerAccount() {
+    try {
+        const response = await fetch(`${SERVER_URL}/players`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(`Failed to create player: ${response.status}`);
+        }
+        const data = await response.json();
+        const account = { id: data.id, token: data.token, name: null };
+        savePlayerAccount(account);
+        return account;
+    } catch (error) {
+        console.error('Error creating player account:', error);
+        return null;
+    }
+}
+
+// Describe an error response from the server, including moderation reasons
+function describeServerError(data, status) {
+    if (data.reasons && data.reasons.length > 0) {
+        return `${data.error}: ${data.reasons.map(reason => reason.message).join(', ')}`;
+    }
+    return data.details || data.error || `server error ${status}`;
+}
+
+// Headers proving which player a request comes from
+function playerAuthHeaders(account) {
+    return { 'Authorization': `Bearer ${recoveryCode(account)}` };
+}
+
+// Claim a username for the player. Names are reserved once claimed, so
+// this tells the player and resolves to false if someone else has it.
+async function claimUsername(account, name) {
+    try {
+        const response = await fetch(`${SERVER_URL}/players/me/name`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...playerAuthHeaders(account)
+            },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            alert(response.status === 409
+                ? `The name "${name}" is already taken. Please choose another one.`
+                : `Could not claim that name. ${describeServerError(data, response.status)}`);
+            return false;
+        }
+        
+        savePlayerAccount({ ...account, name: data.name });
+        return true;
+    } catch (error) {
+        console.error('Error claiming username:', error);
+        alert('Could not claim that name: the high score server could not be reached.');
+        return false;
+    }
+}
+
+// Ask for a username until one is claimed. Resolves to the account with
+// its name, or null if the player gave up.
+async function promptForUsername(account, promptMessage) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const name = await getValidPlayerName(promptMessage);
+        if (!name) {
+            return null;
+        }
+        if (await claimUsername(account, name)) {
+            return loadPlayerAccount();
+        }
+    }
+    return null;
+}
+
+// Claim or change the username (U on the start screen)
+async function chooseUsername() {
+    const account = await ensurePlayerAccount();
+    if (!account) {
+        alert('The high score server could not be reached. Please try again later.');
+        return;
+    }
+    
+    if (await promptForUsername(account, 'Choose your username (max 20 chars). Once claimed, nobody else can use it:')) {
+        // Queued scores may have been waiting for a username
+        flushSubmissions();
+    }
+    if (currentScreen === GameScreen.START) {
+        renderStartScreen();
+    }
+}
+
+// Show the recovery code, or switch to another account by entering its
+// recovery code (K on the start screen)
+async function manageRecoveryCode() {
+    const account = await ensurePlayerAccount();
+    if (!account) {
+        alert('The high score server could not be reached. Please try again later.');
+        return;
+    }
+    
+    const ownCode = recoveryCode(account);
+    const code = prompt('This is your recovery code. Keep it safe and enter it on another device to play as the same player. ' +
+        'To use another account here, paste its recovery code instead:', ownCode);
+    if (!code || code.trim() === ownCode) {
+        return;
+    }
+    
+    const [id, token] = code.trim().split('.');
+    try {
+        const response = await fetch(`${SERVER_URL}/players/me`, {
+            headers: playerAuthHeaders({ id, token })
+        });
+        if (!response.ok) {
+            alert('That recovery code is not valid.');
+            return;
+        }
+        const data = await response.json();
+        savePlayerAccount({ id, token, name: data.name });
+        alert(`You are now playing as ${data.name || 'a guest'}.`);
+    } catch (error) {
+        console.error('Error restoring account:', error);
+        alert('The high score server could not be reached. Please try again later.');
+        return;
+    }
+    
+    if (currentScreen === GameScreen.START) {
+        renderStartScreen();
+    }
+}
+
+// Ask the player whether to submit a score, claiming a username first if
+// they don't have one, then submit it
+async function offerScoreSubmission(message, score, replay, token, date = null) {
+    // Without a token the server can't verify the run, e.g. when it started offline
+    if (!token) {
+        alert(`${message} This run started while the high score server couldn't be reached, so its score can't be submitted.`);
+        return;
+    }
+    
+    let account = loadPlayerAccount();
+    if (account && account.name) {
+        if (!confirm(`${message} Submit it as ${account.name}?`)) {
+            return;
+        }
+    } else {
+        account = navigator.onLine ? await ensurePlayerAccount() : null;
+        if (account) {
+            if (!await promptForUsername(account, `${message} Choose your username for the leaderboard (max 20 chars):`)) {
+                return;
+            }
+        } else if (!confirm(`${message} The high score server can't be reached right now. Keep the score and submit it once you're back online and have chosen a username?`)) {
+            return;
+        }
+    }
+    
+    // Queued, so the score isn't lost if the connection drops
+    await queueSubmission(score, replay, token, date);
+}
+
+// Ask the server for the token a run's score must be submitted with
+async function requestRunToken(run) {
+    try {
+        const response = await fetch(`${SERVER_URL}/runs`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ seed: run.seed })
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to start run: ${response.status}`);
+        }
+        const data = await response.json();
+        // A new run may have started while waiting
+        if (game === run) {
+            runToken = data.token;
+        }
+    } catch (error) {
+        console.error('Error requesting run token:', error);
+    }
+}
+
+// Ask the server for the token of the player's scored daily run. The
+// server hands out one per player and day, so if this player has already
+// had theirs (say on another device) the run becomes practice.
+async function requestDailyRunToken(run) {
+    const account = await ensurePlayerAccount();
+    if (!account) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${SERVER_URL}/runs/daily`, {
+            method: 'POST',
+            headers: playerAuthHeaders(account)
+        });
+        if (response.status === 409) {
+            if (game === run) {
+                dailyRunIsScored = false;
+            }
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to start daily run: ${response.status}`);
+        }
+        const data = await response.json();
+        if (game === run) {
+            runToken = data.token;
+        }
+    } catch (error) {
+        console.error('Error requesting daily run token:', error);
+    }
+}
+
+// Fetch the leaderboard for a period (all-time, week or month) from server
+async function fetchHighScores(period = LeaderboardTab.ALL_TIME) {
     try {
-        const response = await fetch(`${SERVER_URL}/highscores`, {
+        const response = await fetch(`${SERVER_URL}/highscores?period=${period}`, {
         });
         if (!response.ok) {
             throw new Error(`Failed to fetch high scores: ${response.status}`);
         }
         const data = await response.json();
-        highScores = data;
-        console.log('Fetched high scores:', highScores);
+        // The all-time scores are also shown on the start screen
+        if (period === LeaderboardTab.ALL_TIME) {
+            highScores = data;
+        }
+        console.log(`Fetched ${period} high scores:`, data);
         return data;
     } catch (error) {
         console.error('Error fetching high scores:', error);
@@ -2200,54 +2872,52 @@ async function fetchHighScores() {
     }
 }
 
-// Asynchronously load bad words from server
-let badWordsCache = null;
-
-async function loadBadWords() {
-    if (badWordsCache) {
-        return badWordsCache;
+// Fetch the all-time Marathon leaderboard
+async function fetchMarathonHighScores() {
+    try {
+        const response = await fetch(`${SERVER_URL}/highscores/marathon`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch Marathon high scores: ${response.status}`);
+        }
+        const data = await response.json();
+        console.log('Fetched Marathon high scores:', data);
+        return data;
+    } catch (error) {
+        console.error('Error fetching Marathon high scores:', error);
+        return [];
     }
-    
+}
+
+// Fetch a player's personal best history (every score that beat their earlier best)
+async function fetchPersonalBests(playerId) {
     try {
-        // Load English and Norwegian bad words
-        const enResponse = await fetch(`${SERVER_URL}/badwords/en.txt`);
-        const noResponse = await fetch(`${SERVER_URL}/badwords/no.txt`);
-        
-        if (!enResponse.ok || !noResponse.ok) {
-            throw new Error('Failed to load bad words lists');
+        const response = await fetch(`${SERVER_URL}/highscores/player/${encodeURIComponent(playerId)}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch personal bests: ${response.status}`);
         }
-        
-        const enText = await enResponse.text();
-        const noText = await noResponse.text();
-        
-        // Split by newlines and filter empty lines
-        const enWords = enText.split('\n').filter(word => word.trim() !== '');
-        const noWords = noText.split('\n').filter(word => word.trim() !== '');
-        
-        // Combine both lists
-        badWordsCache = [...enWords, ...noWords];
-        return badWordsCache;
+        const data = await response.json();
+        console.log('Fetched personal bests:', data);
+        return data.history;
     } catch (error) {
-        console.error('Error loading bad words:', error);
-        // Fallback to a minimal list if server files can't be loaded
-        return [
-            'fuck', 'shit', 'ass', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 
-            'whore', 'slut', 'bastard', 'damn', 'hell', 'piss', 'crap', 'fag',
-            'nazi', 'kill', 'murder', 'rape', 'terrorist', 'hitler', 'penis'
-        ];
+        console.error('Error fetching personal bests:', error);
+        return [];
     }
 }
 
-// Function to check if name contains any bad words
-async function containsBadWords(name) {
-    // Get bad words list
-    const badWords = await loadBadWords();
-    
-    // Convert to lowercase for case-insensitive check
-    const lowercaseName = name.toLowerCase();
-    
-    // Check if any bad word is contained in the name
-    return badWords.some(word => lowercaseName.includes(word.toLowerCase()));
+// Fetch the daily leaderboard for a date
+async function fetchDailyHighScores(date) {
+    try {
+        const response = await fetch(`${SERVER_URL}/highscores/daily/${date}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch daily high scores: ${response.status}`);
+        }
+        dailyHighScores = await response.json();
+        console.log('Fetched daily high scores:', dailyHighScores);
+        return dailyHighScores;
+    } catch (error) {
+        console.error('Error fetching daily high scores:', error);
+        return [];
+    }
 }
 
 // Sanitize name input to prevent injection attacks
@@ -2264,13 +2934,61 @@ function sanitizeName(name) {
     return sanitized;
 }
 
-// Get a valid player name with validation and sanitization
+// The word lists the server checks names against: blocked words by locale
+// plus the allowlist. The cached copy is revalidated with its ETag, and used
+// as is if the server can't be reached. Resolves to null if there is none.
+async function loadBadWords() {
+    let cached = null;
+    try {
+        cached = JSON.parse(localStorage.getItem(BAD_WORDS_KEY));
+    } catch (error) {
+        console.error('Error reading cached bad words:', error);
+    }
+    
+    try {
+        const response = await fetch(`${SERVER_URL}/badwords`, {
+            cache: 'no-store',
+            headers: cached ? { 'If-None-Match': cached.etag } : {}
+        });
+        if (response.status === 304 && cached) {
+            return cached.lists;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load bad words: ${response.status}`);
+        }
+        
+        const lists = await response.json();
+        localStorage.setItem(BAD_WORDS_KEY, JSON.stringify({ etag: response.headers.get('ETag'), lists }));
+        return lists;
+    } catch (error) {
+        console.error('Error loading bad words:', error);
+        return cached ? cached.lists : null;
+    }
+}
+
+// Quick check of a name before claiming it, so the player doesn't wait on
+// the server for an obvious no. Only whole words are compared; the server
+// has the final say and also catches disguised spellings.
+async function containsBadWords(name) {
+    const badWords = await loadBadWords();
+    if (!badWords) {
+        return false;
+    }
+    
+    const allowed = new Set(badWords.allowed.map(word => word.toLowerCase()));
+    const blocked = new Set(Object.values(badWords.blocked).flat().map(word => word.toLowerCase()));
+    return name.toLowerCase().split(/[^\p{L}\p{N}]+/u).some(word => blocked.has(word) && !allowed.has(word));
+}
+
+// Get a valid player name with validation and sanitization. Resolves to
+// null if the player cancels or doesn't enter a valid name in time.
 async function getValidPlayerName(promptMessage) {
     let attempts = 0;
     const maxAttempts = 3;
     
     while (attempts < maxAttempts) {
-        const name = prompt(promptMessage, "");
+        const account = loadPlayerAccount();
+        const name = prompt(promptMessage, account && account.name ? account.name : "");
         attempts++;
         
         // User clicked cancel
@@ -2290,72 +3008,312 @@ async function getValidPlayerName(promptMessage) {
             continue;
         }
         
-        // Check for bad words - now async
         if (await containsBadWords(name)) {
             alert("Please use appropriate language for your name.");
             continue;
         }
         
-        // If we got here, name is valid - sanitize and return it
+        // The server checks the name against its word lists again when it is claimed
         return sanitizeName(name);
     }
     
-    // If we reached max attempts, use a default name
-    alert("Using default name due to validation issues.");
-    return "Player" + Math.floor(Math.random() * 1000);
+    // The name is claimed for good, so never make one up for the player
+    alert("No valid name was entered. You can choose one later with U on the start screen.");
+    return null;
 }
 
-// Submit score to server
-async function submitScore(name, score) {
+// Score submission queue. Scores are kept in IndexedDB until the server
+// has answered, so a score set offline (or while the server is down) is
+// submitted once it can be reached instead of being lost. Each queued run
+// is pending until then, and submitted or rejected afterwards.
+function openSubmissionDb() {
+    if (!submissionDb) {
+        submissionDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SUBMISSION_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SUBMISSION_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return submissionDb;
+}
+
+// Run a request on the submission store, or null without IndexedDB (e.g.
+// some private browsing modes), where the queue only lasts for this visit
+async function submissionStoreRequest(mode, makeRequest) {
+    let db;
     try {
-        // Final sanitization before sending to server
-        const sanitizedName = sanitizeName(name);
-        
-        const response = await fetch(`${SERVER_URL}/highscores`, {
+        db = await openSubmissionDb();
+    } catch (error) {
+        console.error('IndexedDB is unavailable, keeping submissions in memory:', error);
+        return null;
+    }
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(SUBMISSION_STORE, mode).objectStore(SUBMISSION_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Every queued run, oldest first
+async function loadSubmissions() {
+    const records = await submissionStoreRequest('readonly', store => store.getAll());
+    return records || Array.from(memorySubmissions.values());
+}
+
+async function saveSubmission(record) {
+    const id = await submissionStoreRequest('readwrite', store => store.put(record));
+    if (id === null) {
+        record.id = record.id || ++lastMemorySubmissionId;
+        memorySubmissions.set(record.id, record);
+    } else {
+        record.id = id;
+    }
+    return record;
+}
+
+async function deleteSubmission(id) {
+    await submissionStoreRequest('readwrite', store => store.delete(id));
+    memorySubmissions.delete(id);
+}
+
+// Queue the score of a run and try to submit it right away
+async function queueSubmission(score, replay, token, date = null) {
+    const record = await saveSubmission({
+        createdAt: Date.now(),
+        score,
+        replay,
+        token,
+        date,
+        status: SubmissionStatus.PENDING,
+        reason: null,
+        retryAt: null
+    });
+    lastSubmission = record;
+    showSubmissionStatus();
+    await flushSubmissions();
+}
+
+// The leaderboard a queued score goes to: with a date, that day's Daily Ski
+// leaderboard; Marathon runs have their own
+function submissionUrl(record) {
+    if (record.date) {
+        return `${SERVER_URL}/highscores/daily`;
+    }
+    if (GameCore.replayMode(record.replay) === GameCore.RunMode.MARATHON) {
+        return `${SERVER_URL}/highscores/marathon`;
+    }
+    return `${SERVER_URL}/highscores`;
+}
+
+// Send a queued score to the server as the player's claimed username, with
+// the replay the server uses to verify it and the run's token (see
+// submissionUrl for where it goes). Resolves to the server's verdict, or to
+// when to try again (and why, if the server said) if it couldn't give one.
+async function sendSubmission(account, record) {
+    try {
+        const response = await fetch(submissionUrl(record), {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...playerAuthHeaders(account)
             },
             body: JSON.stringify({ 
-                name: sanitizedName, 
-                score: score 
+                score: record.score,
+                replay: record.replay,
+                runToken: record.token || undefined,
+                date: record.date || undefined
             }),
         });
         
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+            return { retryAfter: (data.retryAfter || 60) * 1000, reason: data.error || 'Too many score submissions' };
+        }
+        if (response.status >= 500) {
+            console.error('Score submission failed:', response.status, data);
+            return { retryAfter: SUBMISSION_RETRY_MS, reason: data.error || `Server error ${response.status}` };
+        }
         if (!response.ok) {
-            throw new Error(`Failed to submit score: ${response.status}`);
+            console.error('Score submission rejected:', response.status, data);
+            return { status: SubmissionStatus.REJECTED, reason: describeServerError(data, response.status) };
         }
         
-        const data = await response.json();
         console.log('Score submitted successfully:', data);
+        return { status: SubmissionStatus.SUBMITTED };
+    } catch (error) {
+        console.error('Error submitting score:', error);
+        return { retryAfter: SUBMISSION_RETRY_MS };
+    }
+}
+
+// Submit the pending scores, oldest first. Stops at the first one the
+// server can't take yet and tries again later (or when back online).
+async function flushSubmissions() {
+    if (flushingSubmissions) {
+        return;
+    }
+    flushingSubmissions = true;
+    clearTimeout(submissionRetryTimer);
+    
+    try {
+        const pending = (await loadSubmissions()).filter(record => record.status === SubmissionStatus.PENDING);
+        if (pending.length === 0 || !navigator.onLine) {
+            return;
+        }
         
-        // Refresh high scores
-        await fetchHighScores();
+        // Scores are submitted under the claimed username; they wait for one
+        const account = await ensurePlayerAccount();
+        if (!account || !account.name) {
+            return;
+        }
         
-        return true;
+        for (const record of pending) {
+            const result = await sendSubmission(account, record);
+            if (result.retryAfter) {
+                // Kept with the record so the game over screen can say why it is waiting
+                Object.assign(record, { reason: result.reason || null, retryAt: Date.now() + result.retryAfter });
+                await saveSubmission(record);
+                if (lastSubmission && lastSubmission.id === record.id) {
+                    lastSubmission = record;
+                }
+                submissionRetryTimer = setTimeout(flushSubmissions, result.retryAfter);
+                break;
+            }
+            
+            Object.assign(record, { reason: null, retryAt: null }, result, { token: null });
+            await saveSubmission(record);
+            if (lastSubmission && lastSubmission.id === record.id) {
+                lastSubmission = record;
+            }
+            
+            // Refresh the leaderboard the score went on
+            if (record.status === SubmissionStatus.SUBMITTED) {
+                switch (submissionUrl(record)) {
+                    case `${SERVER_URL}/highscores/daily`:
+                        await fetchDailyHighScores(record.date);
+                        break;
+                    case `${SERVER_URL}/highscores/marathon`:
+                        await fetchMarathonHighScores();
+                        break;
+                    default:
+                        await fetchHighScores();
+                }
+            }
+        }
+        
+        await pruneSubmissions();
     } catch (error) {
-        console.error('Error submitting score:', error);
-        return false;
+        console.error('Error flushing score submissions:', error);
+    } finally {
+        flushingSubmissions = false;
+        showSubmissionStatus();
+    }
+}
+
+// Forget the oldest finished submissions; pending ones are always kept
+async function pruneSubmissions() {
+    const finished = (await loadSubmissions()).filter(record => record.status !== SubmissionStatus.PENDING);
+    for (const record of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_SUBMISSIONS))) {
+        await deleteSubmission(record.id);
+    }
+}
+
+// How a queued run's score is doing, for the game over screen
+function describeSubmission(record) {
+    if (record.status === SubmissionStatus.SUBMITTED) {
+        return 'Score submitted';
+    }
+    if (record.status === SubmissionStatus.REJECTED) {
+        return `Score rejected: ${record.reason}`;
+    }
+    const account = loadPlayerAccount();
+    if (!account || !account.name) {
+        return 'Score saved - choose a username (U on the start screen) to submit it';
+    }
+    if (record.reason && record.retryAt > Date.now()) {
+        return `${record.reason} - trying again at ${new Date(record.retryAt).toLocaleTimeString()}`;
+    }
+    return navigator.onLine ? 'Submitting score...' : 'Offline - score will be submitted when you\'re back online';
+}
+
+// Redraw the screens that show submission status
+function showSubmissionStatus() {
+    // Leave an open leaderboard alone
+    if (leaderboardTab !== null) {
+        return;
+    }
+    if (currentScreen === GameScreen.GAME_OVER) {
+        render();
+        renderGameOverScreen();
+    } else if (currentScreen === GameScreen.START) {
+        renderStartScreen();
     }
 }
 
 // Open submit score dialog
 function openSubmitDialog() {
-    if (score > 0) {
-        // Get and validate player name
-        getValidPlayerName(`You scored ${score}! Enter your name for the leaderboard (max 20 chars):`).then(name => {
-            if (name) {
-                submitScore(name, score);
-            }
-        });
+    const score = game.score;
+    const replay = lastReplay;
+    const token = lastRunToken;
+    if (score > 0 && replay) {
+        offerScoreSubmission(`You scored ${score}!`, score, replay, token);
     } else {
         // Show full leaderboard
         showFullLeaderboard();
     }
 }
 
-// Show full leaderboard modal
-function showFullLeaderboard() {
+// Show today's Daily Ski leaderboard
+function showDailyLeaderboard() {
+    const date = dailyDate || dailyDateString();
+    fetchDailyHighScores(date).then(scores => {
+        drawLeaderboardScreen(`DAILY SKI ${date}`, rankedLines(scores), 'No scores yet. Be the first!');
+    });
+}
+
+// Show the full leaderboard on one of its tabs
+function showFullLeaderboard(tab = LeaderboardTab.ALL_TIME) {
+    leaderboardTab = tab;
+    
+    if (tab === LeaderboardTab.PERSONAL) {
+        const account = loadPlayerAccount();
+        if (!account) {
+            drawLeaderboardScreen('LEADERBOARD', [], 'Submit a score to track your personal bests!');
+            return;
+        }
+        const title = account.name ? account.name.toUpperCase() : 'PERSONAL BEST';
+        fetchPersonalBests(account.id).then(history => {
+            // Ignore the response if the player has moved on in the meantime
+            if (leaderboardTab !== tab) return;
+            // Newest personal best first
+            const lines = history.slice().reverse().map(entry =>
+                `${new Date(entry.createdAt).toLocaleDateString()}: ${entry.score}`);
+            drawLeaderboardScreen(title, lines, 'No scores yet. Go set one!');
+        });
+        return;
+    }
+    
+    const fetchScores = tab === LeaderboardTab.MARATHON ? fetchMarathonHighScores() : fetchHighScores(tab);
+    fetchScores.then(scores => {
+        if (leaderboardTab !== tab) return;
+        drawLeaderboardScreen('LEADERBOARD', rankedLines(scores), 'No scores yet. Be the first!');
+    });
+}
+
+// Leaderboard lines with ranks, e.g. " 1. Name: 1005"
+function rankedLines(scores) {
+    return scores.map((score, index) => {
+        const rank = index + 1;
+        const rankText = rank < 10 ? ` ${rank}` : rank;
+        return `${rankText}. ${score.name}: ${score.score}`;
+    });
+}
+
+// Draw the leaderboard modal, with the tabs when the full leaderboard is open
+function drawLeaderboardScreen(title, lines, emptyText) {
     // Clear canvas
     ctx.fillStyle = 'rgba(0,0,0,0.8)';
     ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -2363,81 +3321,584 @@ function showFullLeaderboard() {
     // Draw leaderboard title
     ctx.fillStyle = '#FFF';
     ctx.font = 'bold 30px Arial';
-    ctx.fillText('LEADERBOARD', CANVAS_WIDTH / 2 - 100, 50);
+    ctx.fillText(title, CANVAS_WIDTH / 2 - ctx.measureText(title).width / 2, 40);
+    
+    // Draw tabs, highlighting the one being shown
+    if (leaderboardTab !== null) {
+        ctx.font = 'bold 14px Arial';
+        const tabSpacing = 30;
+        const labelWidths = LEADERBOARD_TABS.map(entry => ctx.measureText(entry.label).width);
+        const totalWidth = labelWidths.reduce((sum, width) => sum + width, 0) + tabSpacing * (LEADERBOARD_TABS.length - 1);
+        let tabX = CANVAS_WIDTH / 2 - totalWidth / 2;
+        LEADERBOARD_TABS.forEach((entry, index) => {
+            ctx.fillStyle = entry.tab === leaderboardTab ? '#FFFF00' : '#888';
+            ctx.fillText(entry.label, tabX, 68);
+            tabX += labelWidths[index] + tabSpacing;
+        });
+    }
     
     // Draw scores
+    ctx.fillStyle = '#FFF';
     ctx.font = '18px Arial';
     
-    if (highScores.length === 0) {
-        ctx.fillText('No scores yet. Be the first!', CANVAS_WIDTH / 2 - 100, 100);
+    if (lines.length === 0) {
+        ctx.fillText(emptyText, CANVAS_WIDTH / 2 - ctx.measureText(emptyText).width / 2, 100);
     } else {
-        // Show all 20 scores or however many exist
-        highScores.forEach((score, index) => {
-            // Calculate position - two columns if more than 10 scores
+        // Show all 20 lines or however many exist
+        lines.slice(0, 20).forEach((line, index) => {
+            // Calculate position - two columns if more than 10 lines
             let x, y;
-            if (highScores.length > 10 && index >= 10) {
-                // Second column (scores 11-20)
+            if (lines.length > 10 && index >= 10) {
+                // Second column (lines 11-20)
                 x = CANVAS_WIDTH / 2 + 50;
                 y = 100 + ((index - 10) * 30);
             } else {
-                // First column (scores 1-10)
+                // First column (lines 1-10)
                 x = CANVAS_WIDTH / 2 - 200;
                 y = 100 + (index * 30);
             }
             
-            const rank = index + 1;
-            const rankText = rank < 10 ? ` ${rank}` : rank;
-            ctx.fillText(`${rankText}. ${score.name}: ${score.score}`, x, y);
+            ctx.fillText(line, x, y);
         });
     }
     
     // Draw close instructions
     ctx.fillStyle = '#0066FF';
-    ctx.fillText('Press SPACE to close', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT - 50);
+    const instructions = leaderboardTab !== null ? 'Press SPACE to close, ← / → to switch tabs' : 'Press SPACE to close';
+    ctx.fillText(instructions, CANVAS_WIDTH / 2 - ctx.measureText(instructions).width / 2, CANVAS_HEIGHT - 50);
+}
+
+// What ended a run, as shown in the run history
+function describeCause(cause) {
+    if (cause === GameCore.DeathCause.FALLEN_SKIER) return 'fallen skier';
+    if (cause === GameCore.DeathCause.BRIDGE) return 'bridge';
+    if (cause === GameCore.DeathCause.BRIDGE_DUCKING) return 'bridge (ducking)';
+    if (cause === GameCore.DeathCause.TRACK_FINISHED) return 'finished';
+    return '-';
+}
+
+// What ended a run and how to avoid it next time, for the game over screen
+function explainCause(cause) {
+    if (cause === GameCore.DeathCause.FALLEN_SKIER) return 'You skied into a fallen skier. Jump over them with SPACE!';
+    if (cause === GameCore.DeathCause.BRIDGE) return 'You hit a bridge. Duck under it with ↓!';
+    if (cause === GameCore.DeathCause.BRIDGE_DUCKING) return 'You ducked, but still hit your head on the bridge.';
+    if (cause === GameCore.DeathCause.TRACK_FINISHED) return 'You skied to the end of the track!';
+    return '';
+}
+
+// Rhythm accuracy (0 to 1) as a percentage, or '-' for runs without strides
+function formatAccuracy(accuracy) {
+    return accuracy === null || accuracy === undefined ? '-' : `${Math.round(accuracy * 100)}%`;
+}
+
+// Personal bests and averages over the run history
+function summarizeRuns(runs) {
+    const best = key => Math.max(...runs.map(run => run[key] || 0));
+    const average = key => runs.reduce((sum, run) => sum + (run[key] || 0), 0) / runs.length;
+    const withStrides = runs.filter(run => run.accuracy !== null && run.accuracy !== undefined);
+
+    return {
+        bestScore: Math.max(best('score'), loadLegacyHighScore()),
+        bestDistance: best('distance'),
+        bestDuration: best('duration'),
+        bestSpeed: best('maxSpeed'),
+        bestAccuracy: withStrides.length > 0 ? Math.max(...withStrides.map(run => run.accuracy)) : null,
+        averageScore: Math.round(average('score')),
+        averageDistance: Math.round(average('distance')),
+        averageDuration: average('duration'),
+        averageAccuracy: withStrides.length > 0
+            ? withStrides.reduce((sum, run) => sum + run.accuracy, 0) / withStrides.length
+            : null
+    };
+}
+
+// Show the stats screen: personal bests, averages, progress and recent runs
+function showStats() {
+    currentScreen = GameScreen.STATS;
+    const runs = loadRunHistory();
+
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 30px Arial';
+    ctx.fillText('YOUR STATS', CANVAS_WIDTH / 2 - ctx.measureText('YOUR STATS').width / 2, 40);
+
+    if (runs.length === 0) {
+        const emptyText = 'No runs yet. Go ski!';
+        ctx.font = '18px Arial';
+        ctx.fillText(emptyText, CANVAS_WIDTH / 2 - ctx.measureText(emptyText).width / 2, 100);
+    } else {
+        const stats = summarizeRuns(runs);
+        drawStatsColumn('PERSONAL BESTS', [
+            `Score: ${stats.bestScore}`,
+            `Distance: ${stats.bestDistance} m`,
+            `Time: ${formatReplayTime(stats.bestDuration)}`,
+            `Top speed: ${stats.bestSpeed} km/h`,
+            `Rhythm: ${formatAccuracy(stats.bestAccuracy)}`
+        ], 30, 80);
+        drawStatsColumn(`AVERAGES (${runs.length} RUNS)`, [
+            `Score: ${stats.averageScore}`,
+            `Distance: ${stats.averageDistance} m`,
+            `Time: ${formatReplayTime(stats.averageDuration)}`,
+            `Rhythm: ${formatAccuracy(stats.averageAccuracy)}`
+        ], 30, 215);
+        drawProgressChart(runs.slice(-STATS_CHART_RUNS), 260, 65, 510, 130);
+        drawRecentRuns(runs.slice(-STATS_RECENT_RUNS).reverse(), 260, 225);
+    }
+
+    ctx.fillStyle = '#0066FF';
+    ctx.font = '18px Arial';
+    const instructions = 'Press SPACE to close';
+    ctx.fillText(instructions, CANVAS_WIDTH / 2 - ctx.measureText(instructions).width / 2, CANVAS_HEIGHT - 20);
+}
+
+// Show the rhythm tracks screen: the built-in tracks, and loading a beatmap file
+function showTracks() {
+    currentScreen = GameScreen.TRACKS;
+    
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 30px Arial';
+    ctx.fillText('RHYTHM TRACKS', CANVAS_WIDTH / 2, 40);
+    ctx.font = '16px Arial';
+    ctx.fillText('Stride on the beats as they reach the line. The track ends when the music does.', CANVAS_WIDTH / 2, 75);
+    
+    ctx.textAlign = 'left';
+    ctx.font = '18px Arial';
+    BUILT_IN_BEATMAPS.forEach((beatmap, index) => {
+        const track = Beatmap.compileBeatmap(beatmap);
+        const [beats, beatValue] = beatmap.timeSignature;
+        ctx.fillStyle = '#FFFF00';
+        ctx.fillText(`${index + 1}`, 150, 130 + index * 35);
+        ctx.fillStyle = '#FFF';
+        ctx.fillText(`${beatmap.title}   ${beats}/${beatValue}, ${beatmap.bpm} BPM, ${formatReplayTime(track.endTime)}`,
+            180, 130 + index * 35);
+    });
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#FFF';
+    ctx.font = '16px Arial';
+    ctx.fillText('F = load a beatmap file (JSON, see the README for the format)', CANVAS_WIDTH / 2, CANVAS_HEIGHT - 80);
+    ctx.fillStyle = '#0066FF';
+    ctx.font = '18px Arial';
+    ctx.fillText('Press a number to ski a track, ESC to go back', CANVAS_WIDTH / 2, CANVAS_HEIGHT - 20);
+    ctx.textAlign = 'left';
+}
+
+// Let the player pick a beatmap file, and ski it if it's valid
+function loadBeatmapFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file || currentScreen !== GameScreen.TRACKS) return;
+        
+        try {
+            rhythmBeatmap = Beatmap.parseBeatmap(await file.text());
+        } catch (error) {
+            console.error("Error loading beatmap:", error);
+            alert(`Couldn't load ${file.name}: ${error.message}`);
+            return;
+        }
+        console.log("Starting rhythm track from file:", rhythmBeatmap.title);
+        startGame(GameMode.RHYTHM);
+    });
+    input.click();
+}
+
+// A heading followed by a line per stat
+function drawStatsColumn(title, lines, x, y) {
+    ctx.fillStyle = '#FFFF00';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(title, x, y);
+
+    ctx.fillStyle = '#FFF';
+    ctx.font = '14px Arial';
+    lines.forEach((line, index) => {
+        ctx.fillText(line, x, y + 22 + index * 20);
+    });
+}
+
+// Line chart of the scores of recent runs, oldest on the left, with the best one marked
+function drawProgressChart(runs, x, y, width, height) {
+    const maxScore = Math.max(...runs.map(run => run.score), 1);
+    const pointX = index => x + (runs.length > 1 ? index * width / (runs.length - 1) : width / 2);
+    const pointY = score => y + height - score / maxScore * height;
+
+    ctx.fillStyle = '#FFFF00';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(`LAST ${runs.length} RUNS`, x, y - 5);
+
+    // Axes
+    ctx.strokeStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x, y + height);
+    ctx.lineTo(x + width, y + height);
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '12px Arial';
+    ctx.fillText(`${maxScore}`, x - ctx.measureText(`${maxScore}`).width - 5, y + 10);
+    ctx.fillText('0', x - 12, y + height);
+
+    // Scores
+    ctx.strokeStyle = '#0066FF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    runs.forEach((run, index) => {
+        if (index === 0) {
+            ctx.moveTo(pointX(index), pointY(run.score));
+        } else {
+            ctx.lineTo(pointX(index), pointY(run.score));
+        }
+    });
+    ctx.stroke();
+
+    runs.forEach((run, index) => {
+        ctx.fillStyle = run.score === maxScore ? '#FFFF00' : '#FFF';
+        ctx.beginPath();
+        ctx.arc(pointX(index), pointY(run.score), run.score === maxScore ? 4 : 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+// Table of the most recent runs, newest first
+function drawRecentRuns(runs, x, y) {
+    const columns = [
+        { title: 'DATE', x: 0, text: run => new Date(run.date).toLocaleDateString() },
+        { title: 'SCORE', x: 95, text: run => `${run.score}` },
+        { title: 'DIST', x: 155, text: run => `${run.distance} m` },
+        { title: 'TIME', x: 225, text: run => formatReplayTime(run.duration) },
+        { title: 'SPEED', x: 280, text: run => `${run.maxSpeed} km/h` },
+        { title: 'RHYTHM', x: 365, text: run => formatAccuracy(run.accuracy) },
+        { title: 'DIED TO', x: 430, text: run => describeCause(run.cause) }
+    ];
+
+    ctx.fillStyle = '#FFFF00';
+    ctx.font = 'bold 12px Arial';
+    columns.forEach(column => ctx.fillText(column.title, x + column.x, y));
+
+    ctx.fillStyle = '#FFF';
+    ctx.font = '12px Arial';
+    runs.forEach((run, index) => {
+        columns.forEach(column => ctx.fillText(column.text(run), x + column.x, y + 20 + index * 18));
+    });
 }
 
 // Game over
 function gameOver() {
+    currentScreen = GameScreen.CRASH;
+    updateCrowd(0);
+    const replay = GameCore.createReplay(game);
+    lastReplay = replay;
+    lastRunToken = runToken;
+    lastSubmission = null;
+    lastRun = recordRun(game);
+    
+    // Skiing to the end of a rhythm track goes straight to the game over screen
+    finishedGame = game;
+    if (game.causeOfDeath === GameCore.DeathCause.TRACK_FINISHED) {
+        endCrashReplay();
+        return;
+    }
+    playSound(Sound.DEATH);
+    
+    // Replay the final second from the recorded inputs, keeping the finished
+    // run for the game over screen
+    crashPlayer = GameCore.createReplayPlayer(replay);
+    GameCore.seekReplay(crashPlayer, replay.steps - Math.round(CRASH_REPLAY_MS / STEP_MS));
+    game = crashPlayer.state;
+    accumulator = 0;
+    lastFrameTime = null;
+    crashFrozenAt = null;
+    requestAnimationFrame(crashLoop);
+}
+
+// Slow-motion loop for the final second of a run, holding the final frame
+// for a moment before moving on to the game over screen
+function crashLoop(timestamp) {
+    if (currentScreen !== GameScreen.CRASH) return;
+    
+    if (lastFrameTime === null) {
+        lastFrameTime = timestamp;
+    }
+    accumulator += Math.min(timestamp - lastFrameTime, MAX_FRAME_TIME) * CRASH_REPLAY_SPEED;
+    lastFrameTime = timestamp;
+    
+    while (accumulator >= STEP_MS && !GameCore.isReplayFinished(crashPlayer)) {
+        GameCore.advanceReplay(crashPlayer);
+        accumulator -= STEP_MS;
+    }
+    
+    const finished = GameCore.isReplayFinished(crashPlayer);
+    if (finished && crashFrozenAt === null) {
+        crashFrozenAt = timestamp;
+    }
+    if (finished && timestamp - crashFrozenAt >= CRASH_FREEZE_MS) {
+        endCrashReplay();
+        return;
+    }
+    
+    game = crashPlayer.state;
+    render(finished ? 1 : accumulator / STEP_MS);
+    drawCrashOverlay(finished);
+    
+    requestAnimationFrame(crashLoop);
+}
+
+// Red flash and the cause of death on top of the slow-motion crash
+function drawCrashOverlay(finished) {
+    ctx.fillStyle = finished ? 'rgba(200,0,0,0.35)' : 'rgba(200,0,0,0.15)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(finished ? explainCause(finishedGame.causeOfDeath) : 'SLOW MOTION', CANVAS_WIDTH / 2, 30);
+    ctx.font = '12px Arial';
+    ctx.fillText('ENTER to skip', CANVAS_WIDTH / 2, 50);
+    ctx.textAlign = 'left';
+}
+
+// Leave the slow-motion crash: show the game over screen and offer to submit the score
+function endCrashReplay() {
+    game = finishedGame;
+    crashPlayer = null;
     currentScreen = GameScreen.GAME_OVER;
+    renderGameOverScreen();
     
-    // Check if this score is higher than any on the leaderboard
-    const isLeaderboardWorthy = highScores.length < 20 || score > highScores[highScores.length - 1]?.score;
+    const score = game.score;
+    const replay = lastReplay;
+    const token = lastRunToken;
+    const date = dailyDate;
     
-    // Add a slight delay before showing game over screen
-    setTimeout(() => {
-        ctx.fillStyle = 'rgba(0,0,0,0.8)';
-        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-        
-        // Draw large skull
-        drawSkull(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 70, 50);
-        
-        ctx.fillStyle = '#D00';
-        ctx.font = 'bold 40px Arial';
-        ctx.fillText('YOU DIED', CANVAS_WIDTH / 2 - 90, CANVAS_HEIGHT / 2 + 20);
-        
-        ctx.fillStyle = '#FFF';
-        ctx.font = '24px Arial';
-        ctx.fillText(`Score: ${score}`, CANVAS_WIDTH / 2 - 50, CANVAS_HEIGHT / 2 + 60);
-        
-        ctx.font = '20px Arial';
-        ctx.fillText('Press SPACE to return to main menu', CANVAS_WIDTH / 2 - 160, CANVAS_HEIGHT / 2 + 100);
-        
-        // Always display an instruction for the leaderboard
-        ctx.fillStyle = '#FFFF00';
-        ctx.fillText('Press L to view leaderboard', CANVAS_WIDTH / 2 - 160, CANVAS_HEIGHT / 2 + 180);
-        
-        // If score is worthy of leaderboard, automatically prompt for name
-        if (isLeaderboardWorthy && score > 100) {
+    if (currentMode === GameMode.RHYTHM) {
+        // Rhythm tracks have no leaderboard
+        return;
+    }
+    if (currentMode === GameMode.DAILY) {
+        // Every scored daily attempt goes on the daily leaderboard
+        if (dailyRunIsScored && score > 0) {
             setTimeout(() => {
-                // Get and validate player name
-                getValidPlayerName(`You scored ${score}! Enter your name for the leaderboard (max 20 chars):`).then(name => {
-                    if (name) {
-                        submitScore(name, score);
-                    }
-                });
+                offerScoreSubmission(`Daily Ski ${date}: you scored ${score}!`, score, replay, token, date);
             }, 300);
         }
-    }, 500);
+    } else if (score > 100) {
+        // Every score counts for the weekly/monthly leaderboards and
+        // personal bests, so automatically offer to submit it
+        const message = currentMode === GameMode.MARATHON ? `Marathon: you scored ${score}!` : `You scored ${score}!`;
+        setTimeout(() => {
+            offerScoreSubmission(message, score, replay, token);
+        }, 300);
+    }
+}
+
+// Draw the game over screen for the finished run
+function renderGameOverScreen() {
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    
+    const finishedTrack = game.causeOfDeath === GameCore.DeathCause.TRACK_FINISHED;
+    
+    // Draw skull, unless the skier made it to the end of a rhythm track
+    if (!finishedTrack) {
+        drawSkull(CANVAS_WIDTH / 2, 100, 35);
+    }
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = finishedTrack ? '#0C0' : '#D00';
+    ctx.font = 'bold 40px Arial';
+    ctx.fillText(finishedTrack ? 'FINISHED' : 'YOU DIED', CANVAS_WIDTH / 2, 180);
+    
+    // What killed the skier
+    ctx.fillStyle = '#FFA500';
+    ctx.font = '18px Arial';
+    ctx.fillText(explainCause(game.causeOfDeath), CANVAS_WIDTH / 2, 208);
+    
+    // Run stats
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 24px Arial';
+    ctx.fillText(`Score: ${game.score}`, CANVAS_WIDTH / 2, 245);
+    if (lastRun) {
+        ctx.font = '16px Arial';
+        ctx.fillText(`Distance ${lastRun.distance} m   Time ${formatReplayTime(lastRun.duration)}   ` +
+            `Top speed ${lastRun.maxSpeed} km/h   Rhythm ${formatAccuracy(lastRun.accuracy)}`, CANVAS_WIDTH / 2, 272);
+    }
+    
+    ctx.font = '20px Arial';
+    ctx.fillText('Press SPACE to return to main menu', CANVAS_WIDTH / 2, 310);
+    
+    // Course code so the run can be shared and replayed
+    ctx.font = '16px Arial';
+    let courseText = `Course code: ${seedToCourseCode(game.seed)}`;
+    if (currentMode === GameMode.DAILY) {
+        courseText = dailyRunIsScored ? `Daily Ski ${dailyDate}` : `Daily Ski ${dailyDate} (practice)`;
+    } else if (currentMode === GameMode.MARATHON) {
+        courseText = `Marathon, ${game.crashes} crash${game.crashes === 1 ? '' : 'es'}, course ${seedToCourseCode(game.seed)}`;
+    } else if (game.track) {
+        const grades = game.beatGrades;
+        courseText = `${game.track.title}: ${grades.perfect} perfect, ${grades.good} good, ${grades.miss} missed`;
+    }
+    ctx.fillText(`${courseText}   R = watch replay, E = export`, CANVAS_WIDTH / 2, 340);
+    
+    // Whether the run's score made it to the server
+    if (lastSubmission) {
+        const colors = {
+            [SubmissionStatus.PENDING]: '#FFA500',
+            [SubmissionStatus.SUBMITTED]: '#0C0',
+            [SubmissionStatus.REJECTED]: '#F44'
+        };
+        ctx.fillStyle = colors[lastSubmission.status];
+        ctx.fillText(describeSubmission(lastSubmission), CANVAS_WIDTH / 2, 40);
+    }
+    
+    // Always display an instruction for the leaderboard
+    ctx.fillStyle = '#FFFF00';
+    ctx.font = '20px Arial';
+    ctx.fillText('Press L to view leaderboard', CANVAS_WIDTH / 2, 375);
+    ctx.textAlign = 'left';
+}
+
+// Watch the replay of the most recent run
+function startReplay() {
+    if (!lastReplay) return;
+    
+    finishedGame = game;
+    replayPlayer = GameCore.createReplayPlayer(lastReplay);
+    game = replayPlayer.state;
+    replayPaused = false;
+    replaySpeed = 1;
+    accumulator = 0;
+    lastFrameTime = null;
+    currentScreen = GameScreen.REPLAY;
+    requestAnimationFrame(replayLoop);
+}
+
+// Replay loop - same fixed steps as the game loop, scaled by the replay speed
+function replayLoop(timestamp) {
+    if (currentScreen !== GameScreen.REPLAY) return;
+    
+    if (lastFrameTime === null) {
+        lastFrameTime = timestamp;
+    }
+    if (!replayPaused) {
+        accumulator += Math.min(timestamp - lastFrameTime, MAX_FRAME_TIME) * replaySpeed;
+    }
+    lastFrameTime = timestamp;
+    
+    while (accumulator >= STEP_MS && !GameCore.isReplayFinished(replayPlayer)) {
+        GameCore.advanceReplay(replayPlayer);
+        accumulator -= STEP_MS;
+    }
+    
+    // Hold the final frame once the run is over
+    if (GameCore.isReplayFinished(replayPlayer)) {
+        replayPaused = true;
+        accumulator = 0;
+    }
+    
+    game = replayPlayer.state;
+    render(replayPaused ? 1 : accumulator / STEP_MS);
+    drawReplayOverlay();
+    
+    requestAnimationFrame(replayLoop);
+}
+
+// Handle key presses while watching a replay
+function handleReplayKey(event) {
+    if (event.key === ' ') {
+        // Pause/resume, or watch again from the start once finished
+        if (GameCore.isReplayFinished(replayPlayer)) {
+            GameCore.seekReplay(replayPlayer, 0);
+            replayPaused = false;
+        } else {
+            replayPaused = !replayPaused;
+        }
+    } else if (event.key === 'ArrowLeft') {
+        scrubReplay(-REPLAY_SCRUB_MS);
+    } else if (event.key === 'ArrowRight') {
+        scrubReplay(REPLAY_SCRUB_MS);
+    } else if (event.key === 'f' || event.key === 'F') {
+        replaySpeed = replaySpeed === 1 ? 2 : 1;
+    } else if (event.key === 'e' || event.key === 'E') {
+        exportReplay();
+    } else if (event.key === 'Escape') {
+        exitReplay();
+    }
+}
+
+// Jump forwards or backwards in the replay
+function scrubReplay(deltaMs) {
+    const targetStep = replayPlayer.state.stepCount + Math.round(deltaMs / STEP_MS);
+    GameCore.seekReplay(replayPlayer, targetStep);
+    accumulator = 0;
+    
+    // Scrubbing back from the end continues playback from there
+    if (!GameCore.isReplayFinished(replayPlayer) && deltaMs < 0) {
+        replayPaused = false;
+    }
+}
+
+// Leave the replay and go back to the game over screen
+function exitReplay() {
+    game = finishedGame;
+    replayPlayer = null;
+    currentScreen = GameScreen.GAME_OVER;
+    renderGameOverScreen();
+}
+
+// Draw replay controls and progress on top of the game
+function drawReplayOverlay() {
+    const barY = CANVAS_HEIGHT - 40;
+    const progress = replayPlayer.state.stepCount / Math.max(replayPlayer.replay.steps, 1);
+    
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(0, barY, CANVAS_WIDTH, 40);
+    
+    // Progress bar
+    ctx.fillStyle = '#555';
+    ctx.fillRect(10, barY + 6, CANVAS_WIDTH - 20, 6);
+    ctx.fillStyle = '#0066FF';
+    ctx.fillRect(10, barY + 6, (CANVAS_WIDTH - 20) * progress, 6);
+    
+    // Status and controls
+    const status = GameCore.isReplayFinished(replayPlayer) ? 'END' : (replayPaused ? 'PAUSED' : `${replaySpeed}x`);
+    const elapsed = formatReplayTime(replayPlayer.state.stepCount * STEP_MS);
+    const total = formatReplayTime(replayPlayer.replay.steps * STEP_MS);
+    
+    ctx.fillStyle = '#FFF';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(`REPLAY ${status}  ${elapsed} / ${total}`, 10, barY + 30);
+    ctx.font = '12px Arial';
+    ctx.fillText('SPACE pause  ←/→ scrub  F speed  E export  ESC exit', CANVAS_WIDTH - 330, barY + 30);
+}
+
+// Format milliseconds as m:ss
+function formatReplayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Download the most recent replay as JSON (e.g. to attach to a bug report)
+function exportReplay() {
+    if (!lastReplay) return;
+    
+    const blob = new Blob([JSON.stringify(lastReplay, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${lastReplay.course}-${lastReplay.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
 }
 
 // Start the game
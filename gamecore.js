@@ -0,0 +1,1028 @@
+// Headless game core: the rules of the game (rhythm, physics, spawning and
+// collisions) without any canvas or DOM access. game.js renders from the
+// state kept here, and the same code runs in Node for tests and simulations.
+(function(GameCore) {
+    const { createRng, seedToCourseCode } = typeof require === 'function' ? require('./rng') : window;
+    const Beatmap = typeof require === 'function' ? require('./beatmap') : window.Beatmap;
+
+    // World dimensions (the canvas shows exactly one screen of the world)
+    const CANVAS_WIDTH = 800;
+    const CANVAS_HEIGHT = 400;
+    const SKIER_VERTICAL_OFFSET = 65;
+    const FPS = 60;
+    const STEP_MS = 1000 / FPS; // Fixed simulation step, independent of monitor refresh rate
+
+    // Rhythm mechanics (times are simulation time)
+    const TARGET_RHYTHM = 400; // 0.4s between diagonal strides at normal pace
+    const BASE_RHYTHM_TOLERANCE = 200; // ±0.2s - starting tolerance
+    const MIN_RHYTHM_TOLERANCE = 80; // Minimum tolerance at max speed
+    const RHYTHM_DECAY = 0.01; // Slower decay
+    const RHYTHM_GAIN = 0.15; // Faster gain
+    const EASY_STRIDE_MAX = 800; // Taps up to this long apart ease off the tempo instead of breaking it
+    const CRUISE_RHYTHM = 0.6; // Easing off settles at this rhythm, and below it the skier recovers
+
+    // Stamina drains while skiing faster than cruising speed and comes back
+    // at or below it; tired skiers can't reach full speed
+    const BASE_MAX_SPEED = 5;
+    const MAX_STAMINA = 100;
+    const STAMINA_DRAIN = 0.08;       // Per step at full speed (about 20 seconds of sprinting)
+    const STAMINA_RECOVERY = 0.1;     // Per step at or below cruising speed
+    const FATIGUE_STAMINA = 30;       // Below this, top speed drops...
+    const EXHAUSTED_SPEED_SHARE = 0.6; // ...to this share of it with no stamina left
+
+    // Terrain: the course is a chain of sections (flats, climbs and descents)
+    // whose elevation eases from one section to the next. Elevation is in
+    // pixels, up being positive, and slopes are elevation change per pixel.
+    const TERRAIN_SALT = 0x7E44A1; // Terrain has its own random sequence so it doesn't shift the spawns
+    const FLAT_START_LENGTH = 600;  // The run always starts on the flat
+    const MIN_SECTION_LENGTH = 400;
+    const MAX_SECTION_LENGTH = 1200;
+    const MIN_GRADE = 0.05;         // Average slope of climbs and descents
+    const MAX_GRADE = 0.12;
+    const MAX_ELEVATION = 400;      // The course turns back towards the valley beyond this
+    const TERRAIN_AHEAD = CANVAS_WIDTH + 1000; // Generated this far ahead (spectators spawn off screen)
+    const TERRAIN_BEHIND = 1000;    // and kept this far behind
+    const TUCK_SLOPE = -0.04;       // Descents steeper than this are skied in a tuck
+    const DESCENT_ACCELERATION = 0.5; // Speed gained per step per unit of slope while tucked
+    const MAX_GLIDE_SPEED = BASE_MAX_SPEED * 1.4;
+    const GLIDE_FRICTION = 0.03;    // Speed lost per step when gliding faster than poling
+
+    // Pace of each section of the course, setting the tempo of every
+    // technique there: climbs are skied with quick short strides, and flats
+    // are either sprinted or cruised
+    const Pace = {
+        SPRINT: 'sprint',
+        CRUISE: 'cruise',
+        CLIMB: 'climb'
+    };
+
+    // Share of each technique's rhythm aimed for at each pace
+    const PACE_TEMPO = {
+        [Pace.SPRINT]: 0.875,
+        [Pace.CRUISE]: 1.15,
+        [Pace.CLIMB]: 0.85
+    };
+
+    const SPRINT_SHARE = 0.4; // Share of flats that are sprints
+
+    // Techniques. Tapping the arrow keys in turn is a diagonal stride, or a
+    // herringbone step when the taps come quickly; pressing both together
+    // is a double pole push, and not poling on a descent is a tuck. Each
+    // suits a kind of terrain, and the wrong one for the slope costs speed.
+    const Technique = {
+        DIAGONAL: 'diagonal',
+        DOUBLE_POLE: 'doublePole',
+        HERRINGBONE: 'herringbone',
+        TUCK: 'tuck'
+    };
+
+    // rhythm: time between strides aimed for; toleranceShare: share of the
+    // usual timing tolerance; easyStrideMax: strides up to this long apart
+    // ease off instead of breaking the rhythm; speedShare: share of top
+    // speed at full rhythm; climbDrag: share of that lost per unit of slope uphill
+    const TECHNIQUE_RULES = {
+        [Technique.DIAGONAL]: { rhythm: TARGET_RHYTHM, toleranceShare: 1, easyStrideMax: EASY_STRIDE_MAX, speedShare: 0.9, climbDrag: 1.5 },
+        [Technique.DOUBLE_POLE]: { rhythm: 700, toleranceShare: 1.25, easyStrideMax: 1200, speedShare: 1, climbDrag: 3 },
+        [Technique.HERRINGBONE]: { rhythm: 220, toleranceShare: 0.5, easyStrideMax: 0, speedShare: 0.6, climbDrag: 0.5 },
+        [Technique.TUCK]: { rhythm: TARGET_RHYTHM, toleranceShare: 1, easyStrideMax: EASY_STRIDE_MAX, speedShare: 0, climbDrag: 0 }
+    };
+
+    const DOUBLE_POLE_WINDOW = 80;       // Taps on both keys this close together are one push
+    const HERRINGBONE_MAX_INTERVAL = 300; // Strides quicker than this are herringbone steps
+    const DIAGONAL_SLOPE = 0.03;         // Climbs steeper than this call for the diagonal stride...
+    const HERRINGBONE_SLOPE = 0.1;       // ...and steeper than this for herringbone
+    const WRONG_TECHNIQUE_SPEED = 0.7;   // Share of poling speed kept with the wrong technique
+    const STAND_STEPS = 30;              // Poling stands the skier up out of a tuck for this long
+    const BOTH_KEYS = 'both';            // lastKey after a double pole push
+
+    // Obstacles
+    const SPAWN_INTERVAL = 120;
+
+    // Spectators
+    const SPECTATOR_SPAWN_INTERVAL = 80;
+
+    // Rhythm Tracks: strides are graded by how close they come to the beats
+    // of a beatmap (see beatmap.js)
+    const PERFECT_WINDOW = 50;  // ±50ms of a beat is perfect
+    const GOOD_WINDOW = 120;    // ±120ms is good, and anything further misses
+    const COUNT_IN_BARS = 2;    // No obstacles while the skier picks up the tempo
+    const BeatGrade = {
+        PERFECT: 'perfect',
+        GOOD: 'good',
+        MISS: 'miss'
+    };
+
+    // Run modes with their own rules (the Daily Ski is a classic run on the day's course)
+    const RunMode = {
+        CLASSIC: 'classic',   // The first crash ends the run
+        MARATHON: 'marathon', // Crashes cost health, and the run ends when it runs out
+        RHYTHM: 'rhythm'      // Strides follow the beats of a beatmap on a flat course, until the track ends
+    };
+
+    // Marathon health and crashes
+    const MAX_HEALTH = 100;
+    const CRASH_DAMAGE = 35;         // Three crashes in quick succession end the run
+    const HEALTH_REGEN = 1 / FPS;    // Health recovered per step (one point a second)
+    const FALL_STEPS = 60;           // Steps spent lying in the snow after a crash
+    const INVULNERABLE_STEPS = 150;  // Steps after a crash (the fall included) without further crashes
+    const CRASH_RHYTHM_PENALTY = 0.5; // Share of the rhythm lost in a crash
+
+    // What can end a run (state.causeOfDeath)
+    const DeathCause = {
+        FALLEN_SKIER: 'skier',          // Ran into a fallen skier without jumping
+        BRIDGE: 'bridge',               // Hit a bridge without ducking
+        BRIDGE_DUCKING: 'bridgeDucking', // Hit the head on a bridge while ducking
+        TRACK_FINISHED: 'trackFinished'  // Skied to the end of a rhythm track
+    };
+
+    // Keys that affect the simulation (everything else is ignored and not recorded)
+    const GAMEPLAY_KEYS = ['ArrowLeft', 'ArrowRight', ' ', 'ArrowDown'];
+
+    // Bump when the replay format or the rules change in a way that breaks old replays
+    const REPLAY_VERSION = 5;
+    const MAX_REPLAY_STEPS = 60 * 60 * FPS; // One hour of game time
+
+    // Create the state for a new run on the course generated from seed.
+    // Rhythm runs also need the beatmap of their track.
+    function createGame(seed, mode = RunMode.CLASSIC, beatmap = null) {
+        const isRhythm = mode === RunMode.RHYTHM;
+        const state = {
+            seed: seed >>> 0,
+            mode,
+            beatmap: isRhythm ? beatmap : null,
+            track: isRhythm ? Beatmap.compileBeatmap(beatmap) : null, // When the beats and bars fall
+            nextBeat: 0,  // Index of the first beat of the track not yet graded
+            nextBar: 0,   // Index of the next bar line of the track
+            beatGrades: { [BeatGrade.PERFECT]: 0, [BeatGrade.GOOD]: 0, [BeatGrade.MISS]: 0 },
+            lastGrade: null, // BeatGrade of the last stride or missed beat
+            rng: createRng(seed), // Every random choice while spawning comes from here
+            terrainRng: createRng((seed ^ TERRAIN_SALT) >>> 0),
+            terrain: [{ startX: 0, endX: FLAT_START_LENGTH, startHeight: 0, endHeight: 0, pace: Pace.CRUISE }],
+            stepCount: 0,
+            time: 0, // Simulated milliseconds since the run started
+            isOver: false,
+            causeOfDeath: null, // DeathCause of the collision that ended the run
+            health: MAX_HEALTH, // Marathon only: crashes cost health, and the run ends at 0
+            crashes: 0,
+            invulnerableTimer: 0, // Steps until the skier can crash again
+            score: 0,
+            worldX: 0,
+            prevWorldX: 0, // worldX at the previous step, for interpolated rendering
+            skier: {
+                x: 100,
+                y: CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET,
+                prevY: CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET, // y at the previous step
+                speed: BASE_MAX_SPEED * 0.2, // Start with some speed
+                maxSpeed: BASE_MAX_SPEED, // Lower when tired (see updateStamina)
+                jumpVelocity: -12,
+                gravity: 0.5,
+                isJumping: false,
+                isDucking: false, // For ducking under bridges
+                isTucking: false, // Gliding down a descent without poling
+                standTimer: 0,    // Steps until a skier who poled on a descent tucks again
+                duckTimer: 0,      // How long to stay ducked
+                fallTimer: 0,      // Steps left lying in the snow after a crash
+                fallPose: 0,       // 0-2, the fallen skier pose shown while down
+                yVelocity: 0,
+                animationFrame: 0, // 0 or 1 for diagonal stride poses
+                animationProgress: 0, // For smooth animation transitions
+                poleAngle: 0, // For dynamic pole movement
+                bodyLean: 0, // Forward lean that increases with speed
+                height: 60    // Normal skier height (reduced when ducking)
+            },
+            lastKeyTime: 0,
+            lastKey: null, // Key of the last stride (BOTH_KEYS after a double pole push), null before the first
+            pendingTap: null, // Tap waiting DOUBLE_POLE_WINDOW to see whether the other key joins it
+            technique: Technique.DIAGONAL, // Technique of the last stride, or TUCK
+            rhythmScore: 0.3, // Start with some momentum (0 to 1)
+            rhythmTolerance: BASE_RHYTHM_TOLERANCE, // Current tolerance (decreases with speed)
+            stamina: MAX_STAMINA,
+            obstacles: [],
+            spawnTimer: 0,
+            spectators: [],
+            spectatorSpawnTimer: 0,
+            feedbackTimer: 0,
+            feedbackActive: false,
+            feedbackIsGood: false,
+            topSpeed: 0,     // Fastest the skier has gone this run
+            goodStrides: 0,  // Strides in rhythm
+            badStrides: 0,   // Strides out of rhythm
+            easyStrides: 0,  // Strides easing off the tempo
+            inputLog: [] // Every gameplay key pressed, as { step, key }
+        };
+        updateTerrain(state);
+        return state;
+    }
+
+    // Advance the run by one fixed step, applying the keys pressed since the last step
+    function step(state, inputs = []) {
+        if (state.isOver) return state;
+
+        const skier = state.skier;
+
+        // Remember positions for interpolated rendering
+        state.prevWorldX = state.worldX;
+        skier.prevY = skier.y;
+        state.obstacles.forEach(obstacle => obstacle.prevWorldX = obstacle.worldX);
+        state.spectators.forEach(spectator => spectator.prevWorldX = spectator.worldX);
+
+        inputs.forEach(key => {
+            if (!GAMEPLAY_KEYS.includes(key)) return;
+            state.inputLog.push({ step: state.stepCount, key });
+            applyInput(state, key);
+        });
+
+        // A tap the other key didn't join in time is a stride of its own
+        if (state.pendingTap && state.time - state.pendingTap.time >= DOUBLE_POLE_WINDOW) {
+            stride(state, state.pendingTap.key, state.pendingTap.time);
+            state.pendingTap = null;
+        }
+
+        updateSkier(state);
+        updateObstacles(state);
+        updateSpectators(state);
+        updateHealth(state);
+        checkCollisions(state);
+
+        // Always move forward (even if slowly when no rhythm)
+        state.worldX += Math.max(skier.speed, 0.5);
+        state.score = Math.floor(state.worldX / 10);
+        state.topSpeed = Math.max(state.topSpeed, skier.speed);
+
+        updateTerrain(state);
+
+        // Gradually decrease rhythm when not pressing keys. Easing off to a
+        // slower tempo only drops to cruising speed; stopping drops further.
+        // Tucked skiers don't pole, so their rhythm waits for the next stride.
+        // On a rhythm track, missed beats take the place of the decay.
+        const sinceLastKey = state.time - state.lastKeyTime;
+        if (state.track) {
+            updateTrack(state);
+        } else if (skier.isTucking) {
+            state.lastKey = null;
+            state.lastKeyTime = state.time;
+        } else if (sinceLastKey > targetRhythm(state) + state.rhythmTolerance) {
+            const easyStrideMax = TECHNIQUE_RULES[state.technique].easyStrideMax;
+            const lowest = sinceLastKey <= easyStrideMax ? Math.min(state.rhythmScore, CRUISE_RHYTHM) : 0.1;
+            state.rhythmScore = Math.max(state.rhythmScore - RHYTHM_DECAY, lowest);
+        }
+
+        updateSpeed(state);
+
+        // A fallen skier doesn't ski (the world still creeps past as they slide)
+        if (skier.fallTimer > 0) {
+            skier.speed = 0;
+        }
+
+        updateStamina(state);
+
+        // Update feedback timer
+        if (state.feedbackActive) {
+            state.feedbackTimer--;
+            if (state.feedbackTimer <= 0) {
+                state.feedbackActive = false;
+            }
+        }
+
+        state.stepCount++;
+        state.time = state.stepCount * STEP_MS;
+        return state;
+    }
+
+    // Generate the course ahead of the skier and forget the part left behind
+    function updateTerrain(state) {
+        while (state.terrain[state.terrain.length - 1].endX < state.worldX + TERRAIN_AHEAD) {
+            addTerrainSection(state);
+        }
+        while (state.terrain[0].endX < state.worldX - TERRAIN_BEHIND) {
+            state.terrain.shift();
+        }
+    }
+
+    // Add a flat, climb or descent after the last section, with its pace.
+    // The course turns back when it gets too far above or below where it started.
+    function addTerrainSection(state) {
+        const rng = state.terrainRng;
+        const last = state.terrain[state.terrain.length - 1];
+        const length = MIN_SECTION_LENGTH + rng() * (MAX_SECTION_LENGTH - MIN_SECTION_LENGTH);
+        const grade = MIN_GRADE + rng() * (MAX_GRADE - MIN_GRADE);
+        const roll = rng();
+
+        let direction = roll < 0.4 ? 0 : (roll < 0.7 ? 1 : -1);
+        if (last.endHeight > MAX_ELEVATION) direction = -1;
+        if (last.endHeight < -MAX_ELEVATION) direction = 1;
+        if (state.mode === RunMode.RHYTHM) direction = 0; // Rhythm tracks are skied on the flat
+
+        let pace = Pace.CRUISE;
+        if (direction > 0) {
+            pace = Pace.CLIMB;
+        } else if (direction === 0 && rng() < SPRINT_SHARE) {
+            pace = Pace.SPRINT;
+        }
+
+        state.terrain.push({
+            startX: last.endX,
+            endX: last.endX + length,
+            startHeight: last.endHeight,
+            endHeight: last.endHeight + direction * grade * length,
+            pace
+        });
+    }
+
+    // The section of terrain under a world x position
+    function terrainSectionAt(state, worldX) {
+        const terrain = state.terrain;
+        for (let i = 0; i < terrain.length; i++) {
+            if (worldX < terrain[i].endX) return terrain[i];
+        }
+        return terrain[terrain.length - 1];
+    }
+
+    // Elevation of the course at a world x position, easing between sections
+    function elevationAt(state, worldX) {
+        const section = terrainSectionAt(state, worldX);
+        const t = Math.min(Math.max((worldX - section.startX) / (section.endX - section.startX), 0), 1);
+        return section.startHeight + (section.endHeight - section.startHeight) * (1 - Math.cos(Math.PI * t)) / 2;
+    }
+
+    // Slope of the course at a world x position (positive uphill)
+    function slopeAt(state, worldX) {
+        const section = terrainSectionAt(state, worldX);
+        const length = section.endX - section.startX;
+        const t = Math.min(Math.max((worldX - section.startX) / length, 0), 1);
+        return (section.endHeight - section.startHeight) * Math.PI / (2 * length) * Math.sin(Math.PI * t);
+    }
+
+    // Slope under the skier's feet
+    function skierSlope(state) {
+        return slopeAt(state, state.worldX + state.skier.x);
+    }
+
+    // Time between strides the skier should aim for with the technique they are using
+    function targetRhythm(state) {
+        return techniqueRhythm(state, state.technique);
+    }
+
+    // Time between strides aimed for with a technique at the pace of the
+    // section the skier is on
+    function techniqueRhythm(state, technique) {
+        return TECHNIQUE_RULES[technique].rhythm * PACE_TEMPO[paceAt(state, state.worldX + state.skier.x)];
+    }
+
+    // Pace of the course at a world x position
+    function paceAt(state, worldX) {
+        return terrainSectionAt(state, worldX).pace;
+    }
+
+    // The next change of pace ahead of the skier, as { pace, distance }, or
+    // null if there's none on the course generated so far
+    function nextPaceChange(state) {
+        const skierX = state.worldX + state.skier.x;
+        const pace = paceAt(state, skierX);
+        const next = state.terrain.find(section => section.startX > skierX && section.pace !== pace);
+        return next ? { pace: next.pace, distance: next.startX - skierX } : null;
+    }
+
+    // The technique that suits the terrain under the skier
+    function terrainTechnique(state) {
+        const slope = skierSlope(state);
+        if (slope < TUCK_SLOPE) return Technique.TUCK;
+        if (slope <= DIAGONAL_SLOPE) return Technique.DOUBLE_POLE;
+        if (slope <= HERRINGBONE_SLOPE) return Technique.DIAGONAL;
+        return Technique.HERRINGBONE;
+    }
+
+    // Set the skier's speed from their rhythm, technique and the slope:
+    // poling is slower uphill and slower still with the wrong technique,
+    // and on descents the skier tucks and gathers speed unless they keep
+    // poling. Speed built up on a descent bleeds off gradually afterwards.
+    function updateSpeed(state) {
+        const skier = state.skier;
+        const slope = skierSlope(state);
+        if (skier.standTimer > 0) {
+            skier.standTimer--;
+        }
+        skier.isTucking = slope < TUCK_SLOPE && skier.fallTimer === 0 && skier.standTimer === 0;
+
+        if (skier.isTucking) {
+            state.technique = Technique.TUCK;
+            skier.speed = Math.min(skier.speed - DESCENT_ACCELERATION * slope, MAX_GLIDE_SPEED);
+            return;
+        }
+
+        // On a rhythm track only the beat matters, whatever the technique
+        const rules = TECHNIQUE_RULES[state.technique];
+        const suitsTerrain = state.technique === terrainTechnique(state);
+        const techniqueShare = state.track ? 1 : rules.speedShare * (suitsTerrain ? 1 : WRONG_TECHNIQUE_SPEED);
+        const polingSpeed = skier.maxSpeed * Math.max(state.rhythmScore, 0.2) * techniqueShare *
+            Math.max(1 - rules.climbDrag * Math.max(slope, 0), 0);
+        skier.speed = Math.max(skier.speed - GLIDE_FRICTION, polingSpeed);
+    }
+
+    // Drain stamina above cruising speed and recover it at or below (or
+    // while tucked), capping the top speed once it runs low
+    function updateStamina(state) {
+        const skier = state.skier;
+        const effort = skier.speed / BASE_MAX_SPEED;
+
+        if (effort > CRUISE_RHYTHM && !skier.isTucking) {
+            state.stamina = Math.max(state.stamina - STAMINA_DRAIN * (effort - CRUISE_RHYTHM) / (1 - CRUISE_RHYTHM), 0);
+        } else {
+            state.stamina = Math.min(state.stamina + STAMINA_RECOVERY, MAX_STAMINA);
+        }
+
+        const freshness = Math.min(state.stamina / FATIGUE_STAMINA, 1);
+        skier.maxSpeed = BASE_MAX_SPEED * (EXHAUSTED_SPEED_SHARE + (1 - EXHAUSTED_SPEED_SHARE) * freshness);
+    }
+
+    // Show visual feedback for rhythm
+    function showRhythmFeedback(state, isGood) {
+        state.feedbackActive = true;
+        state.feedbackIsGood = isGood;
+        state.feedbackTimer = 20; // Show feedback for 20 steps
+    }
+
+    // Mark the run as finished, remembering what ended it
+    function endRun(state, cause) {
+        if (state.isOver) return;
+        state.isOver = true;
+        state.causeOfDeath = cause;
+    }
+
+    // A collision: it ends a classic run, while in a marathon it costs health,
+    // knocks the skier down and breaks their rhythm, unless they are still
+    // recovering from the last crash. The skier can't crash into the same
+    // obstacle twice.
+    function crash(state, cause, obstacle) {
+        if (state.mode !== RunMode.MARATHON) {
+            endRun(state, cause);
+            return;
+        }
+        if (state.invulnerableTimer > 0 || obstacle.crashedInto || state.isOver) return;
+
+        obstacle.crashedInto = true;
+        state.crashes++;
+        state.health = Math.max(state.health - CRASH_DAMAGE, 0);
+        if (state.health === 0) {
+            endRun(state, cause);
+            return;
+        }
+
+        const skier = state.skier;
+        skier.fallTimer = FALL_STEPS;
+        skier.fallPose = state.crashes % 3;
+        skier.isJumping = false;
+        skier.yVelocity = 0;
+        skier.y = CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET;
+        skier.isDucking = false;
+        skier.duckTimer = 0;
+        skier.standTimer = 0;
+        skier.speed = 0;
+        state.pendingTap = null;
+        state.rhythmScore = Math.max(state.rhythmScore * (1 - CRASH_RHYTHM_PENALTY), 0.1);
+        state.invulnerableTimer = INVULNERABLE_STEPS;
+    }
+
+    // Marathon recovery: getting back up after a crash and slowly regaining health
+    function updateHealth(state) {
+        if (state.mode !== RunMode.MARATHON) return;
+
+        if (state.skier.fallTimer > 0) {
+            state.skier.fallTimer--;
+        }
+        if (state.invulnerableTimer > 0) {
+            state.invulnerableTimer--;
+        }
+        state.health = Math.min(state.health + HEALTH_REGEN, MAX_HEALTH);
+    }
+
+    // Apply a gameplay key press at the current simulation time
+    function applyInput(state, key) {
+        const skier = state.skier;
+        const currentTime = state.time;
+
+        // Keys do nothing while lying in the snow
+        if (skier.fallTimer > 0) return;
+
+        if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            // Wait to see if the other key joins in for a double pole push
+            const pending = state.pendingTap;
+            if (pending && pending.key !== key) {
+                state.pendingTap = null;
+                doublePole(state, pending.time);
+                return;
+            }
+            if (pending) {
+                stride(state, pending.key, pending.time);
+            }
+            state.pendingTap = { key, time: currentTime };
+        } else if (key === ' ' && !skier.isJumping) {
+            // Jump over obstacles
+            skier.isJumping = true;
+            skier.yVelocity = skier.jumpVelocity;
+        } else if (key === 'ArrowDown') {
+            // Duck under bridges
+            if (!skier.isDucking && !skier.isJumping) {
+                skier.isDucking = true;
+                skier.duckTimer = 45; // Duck for 45 steps (0.75 second) - longer duck for bridges
+            }
+        }
+    }
+
+    // A tap on one key: a diagonal stride, or a herringbone step when it
+    // comes quickly after the last one
+    function stride(state, key, time) {
+        const skier = state.skier;
+
+        // Only alternating keys count as strides
+        if (key !== state.lastKey) {
+            skier.animationFrame = (skier.animationFrame + 1) % 2;
+            skier.animationProgress = 0; // Reset animation progress for fluid movement
+            skier.standTimer = STAND_STEPS;
+
+            const timeDiff = time - state.lastKeyTime;
+            const technique = timeDiff < HERRINGBONE_MAX_INTERVAL ? Technique.HERRINGBONE : Technique.DIAGONAL;
+            judgeStride(state, technique, time);
+        }
+
+        state.lastKey = key;
+        state.lastKeyTime = time;
+    }
+
+    // Both keys together: a double pole push
+    function doublePole(state, time) {
+        const skier = state.skier;
+        skier.animationProgress = 0;
+        skier.standTimer = STAND_STEPS;
+
+        judgeStride(state, Technique.DOUBLE_POLE, time);
+        state.lastKey = BOTH_KEYS;
+        state.lastKeyTime = time;
+    }
+
+    // Score the timing of a stride made at time against the rhythm of its
+    // technique, or against the beats on a rhythm track. The first stride
+    // after starting or tucking only sets the tempo.
+    function judgeStride(state, technique, time) {
+        const rules = TECHNIQUE_RULES[technique];
+        const isFirstStride = state.lastKey === null;
+        const timeDiff = time - state.lastKeyTime;
+        state.technique = technique;
+        if (state.track) {
+            judgeBeat(state, time);
+            return;
+        }
+        if (isFirstStride) return;
+
+        const target = techniqueRhythm(state, technique);
+
+        // Calculate rhythm tolerance based on current speed (harder at high speeds)
+        state.rhythmTolerance = (BASE_RHYTHM_TOLERANCE - (BASE_RHYTHM_TOLERANCE - MIN_RHYTHM_TOLERANCE) * state.rhythmScore) * rules.toleranceShare;
+
+        // Check if timing is good
+        if (timeDiff >= target - state.rhythmTolerance &&
+            timeDiff <= target + state.rhythmTolerance) {
+            // Good rhythm - increase speed
+            state.rhythmScore = Math.min(state.rhythmScore + RHYTHM_GAIN, 1);
+            state.goodStrides++;
+            // Flash visual feedback
+            showRhythmFeedback(state, true);
+        } else if (timeDiff > target + state.rhythmTolerance && timeDiff <= rules.easyStrideMax) {
+            // Deliberately slower - keeps the rhythm going at cruising speed
+            // (the decay in step() has already eased it off) to recover stamina
+            state.easyStrides++;
+        } else {
+            // Bad rhythm - small penalty but don't reset completely
+            state.rhythmScore = Math.max(state.rhythmScore - RHYTHM_GAIN * 0.5, 0.1);
+            state.badStrides++;
+            showRhythmFeedback(state, false);
+        }
+    }
+
+    // Grade a stride on a rhythm track against the nearest beat not yet
+    // graded. Beats it skips past are missed, and a stride with no beat near
+    // it breaks the rhythm without using up a beat.
+    function judgeBeat(state, time) {
+        const strideTimes = state.track.strideTimes;
+        let index = state.nextBeat;
+        while (index + 1 < strideTimes.length &&
+               Math.abs(strideTimes[index + 1] - time) < Math.abs(strideTimes[index] - time)) {
+            index++;
+        }
+
+        const offBy = index < strideTimes.length ? Math.abs(strideTimes[index] - time) : Infinity;
+        if (offBy > GOOD_WINDOW) {
+            state.lastGrade = BeatGrade.MISS;
+            state.rhythmScore = Math.max(state.rhythmScore - RHYTHM_GAIN * 0.5, 0.1);
+            state.badStrides++;
+            showRhythmFeedback(state, false);
+            return;
+        }
+
+        while (state.nextBeat < index) {
+            missBeat(state);
+        }
+        const grade = offBy <= PERFECT_WINDOW ? BeatGrade.PERFECT : BeatGrade.GOOD;
+        state.nextBeat++;
+        state.beatGrades[grade]++;
+        state.lastGrade = grade;
+        state.rhythmScore = Math.min(state.rhythmScore + (grade === BeatGrade.PERFECT ? RHYTHM_GAIN : RHYTHM_GAIN * 0.5), 1);
+        state.goodStrides++;
+        showRhythmFeedback(state, true);
+    }
+
+    // Grade the next beat of a rhythm track as missed
+    function missBeat(state) {
+        state.nextBeat++;
+        state.beatGrades[BeatGrade.MISS]++;
+        state.lastGrade = BeatGrade.MISS;
+        state.rhythmScore = Math.max(state.rhythmScore - RHYTHM_GAIN * 0.5, 0.1);
+        state.badStrides++;
+        showRhythmFeedback(state, false);
+    }
+
+    // Miss the beats of a rhythm track that have gone by without a stride
+    // (a tap still waiting to become a stride may yet catch one), and end
+    // the run when the track does
+    function updateTrack(state) {
+        const strideTimes = state.track.strideTimes;
+        const earliestStride = state.pendingTap ? state.pendingTap.time : state.time;
+        while (state.nextBeat < strideTimes.length && strideTimes[state.nextBeat] < earliestStride - GOOD_WINDOW) {
+            missBeat(state);
+        }
+        if (state.time >= state.track.endTime) {
+            endRun(state, DeathCause.TRACK_FINISHED);
+        }
+    }
+
+    // Update skier
+    function updateSkier(state) {
+        const skier = state.skier;
+
+        // Handle jumping physics
+        if (skier.isJumping) {
+            skier.y += skier.yVelocity;
+            skier.yVelocity += skier.gravity;
+            if (skier.y >= CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET) {
+                skier.y = CANVAS_HEIGHT - SKIER_VERTICAL_OFFSET;
+                skier.isJumping = false;
+                skier.yVelocity = 0;
+            }
+        }
+
+        // Handle ducking
+        if (skier.isDucking) {
+            // Reduce height when ducking (hockey position)
+            skier.height = 25; // Even lower for better bridge clearance
+
+            // Count down duck timer
+            skier.duckTimer--;
+            if (skier.duckTimer <= 0) {
+                skier.isDucking = false;
+                skier.height = 60; // Return to normal height
+            }
+        } else {
+            skier.height = 60; // Ensure normal height when not ducking
+        }
+
+        // Smooth animation transitions
+        skier.animationProgress += 0.05 * skier.speed;
+        if (skier.animationProgress > 1) skier.animationProgress = 1;
+
+        // Update pole angle based on animation frame and progress
+        const targetPoleAngle = (skier.animationFrame === 0) ? 30 : -30;
+        skier.poleAngle = skier.poleAngle * 0.9 + targetPoleAngle * 0.1;
+
+        // Body lean increases with speed
+        const targetLean = Math.min(20, skier.speed * 2);
+        skier.bodyLean = skier.bodyLean * 0.95 + targetLean * 0.05;
+    }
+
+    // On a rhythm track obstacles spawn on the first bar line after the
+    // spawn interval is up, so they come in time with the music (but not
+    // during the count-in or the last bar)
+    function isObstacleDue(state) {
+        const barTimes = state.track.barTimes;
+        if (state.nextBar >= barTimes.length || state.time < barTimes[state.nextBar]) return false;
+
+        const bar = state.nextBar++;
+        return state.spawnTimer >= SPAWN_INTERVAL && bar >= COUNT_IN_BARS && bar < barTimes.length - 1;
+    }
+
+    // Update obstacles
+    function updateObstacles(state) {
+        const skier = state.skier;
+
+        state.spawnTimer++;
+        if (state.track ? isObstacleDue(state) : state.spawnTimer >= SPAWN_INTERVAL) {
+            // Randomly choose between fallen skier and bridge obstacles
+            const obstacleType = state.rng() > 0.3 ? 'bridge' : 'skier';
+
+            if (obstacleType === 'skier') {
+                // Create more detailed fallen skier obstacles
+                state.obstacles.push({
+                    type: 'skier',
+                    worldX: state.worldX + CANVAS_WIDTH + state.rng() * 200,
+                    y: CANVAS_HEIGHT - 40,
+                    width: 50,  // Wider to account for sprawled skier
+                    height: 40,
+                    poseType: Math.floor(state.rng() * 3), // 0-2 for different fallen poses
+                    rotation: state.rng() * 0.5 - 0.25, // Random slight rotation
+                    skisAngle: state.rng() * 50 - 25,  // Random ski angle
+                    poleAngle: state.rng() * 40 - 20   // Random pole angle
+                });
+            } else {
+                // Create bridge obstacles (need to duck under)
+                const bridge = {
+                    type: 'bridge',
+                    worldX: state.worldX + CANVAS_WIDTH + state.rng() * 300,
+                    y: CANVAS_HEIGHT - 105, // Higher than ground but lower for hockey duck
+                    width: 120,  // Wide bridge
+                    height: 50,  // Low clearance - need to duck
+                    bridgeHeight: 50 + state.rng() * 10, // Variable height
+                    clearance: 50, // Space under bridge
+                    spectators: [] // People cheering on the bridge
+                };
+
+                // Add spectators on the bridge
+                const numSpectators = 2 + Math.floor(state.rng() * 3); // 2-4 state.spectators
+                for (let i = 0; i < numSpectators; i++) {
+                    bridge.spectators.push({
+                        position: i / (numSpectators - 1), // 0 to 1 position along bridge
+                        animationOffset: state.rng() * 100, // Varied animation timing
+                        waving: state.rng() > 0.3, // Some are waving
+                        color: Math.floor(state.rng() * 6) // Different colored outfits
+                    });
+                }
+
+                state.obstacles.push(bridge);
+            }
+            state.spawnTimer = 0;
+        }
+
+        // Move obstacles at a speed relative to player's speed
+        state.obstacles.forEach(obstacle => obstacle.worldX -= 2 + skier.speed * 0.2);
+
+        // Remove obstacles that are far behind
+        state.obstacles = state.obstacles.filter(obstacle => obstacle.worldX > state.worldX - 150);
+    }
+
+    // Update spectators along the route
+    function updateSpectators(state) {
+        const skier = state.skier;
+
+        state.spectatorSpawnTimer++;
+        if (state.spectatorSpawnTimer >= SPECTATOR_SPAWN_INTERVAL) {
+            // Randomly spawn spectator groups on the sides, further away from player
+            const side = state.rng() > 0.5 ? 'left' : 'right';
+
+            // Much greater distance from center to keep spectators in the background
+            const baseDistance = side === 'left' 
+                ? -150 - state.rng() * 200  // Left side, further away
+                : CANVAS_WIDTH + state.rng() * 200;  // Right side, further away
+
+            // Position higher in the scene to create background depth effect
+            const baseY = CANVAS_HEIGHT - 90; // Higher up on the snow surface
+
+            // Create a group of 3-5 spectators
+            const groupSize = 3 + Math.floor(state.rng() * 3);
+            const groupSpread = 40; // How spread out the group is
+
+            // Add campfire or tent to some groups
+            const hasCampfire = state.rng() > 0.6;
+            const hasTent = !hasCampfire && state.rng() > 0.6;
+
+            // Create the spectator group
+            const spectatorGroup = {
+                type: 'spectator_group',
+                worldX: state.worldX + baseDistance,
+                y: baseY,
+                side: side,
+                members: [],
+                hasCampfire: hasCampfire,
+                hasTent: hasTent,
+                campfireAnimationOffset: state.rng() * 100
+            };
+
+            // Generate individual spectators in the group
+            for (let i = 0; i < groupSize; i++) {
+                // Position within group (circular arrangement if there's a campfire)
+                let offsetX, offsetY;
+
+                if (hasCampfire) {
+                    // Arrange in semicircle around campfire
+                    const angle = (i / (groupSize - 1)) * Math.PI;
+                    offsetX = Math.cos(angle) * 20;
+                    offsetY = Math.sin(angle) * 10;
+                    if (side === 'right') offsetX = -offsetX; // Flip for right side
+                } else {
+                    // Arrange in loose cluster
+                    offsetX = (state.rng() - 0.5) * groupSpread;
+                    offsetY = (state.rng() - 0.5) * 20;
+                }
+
+                // Individual spectator properties
+                spectatorGroup.members.push({
+                    offsetX: offsetX,
+                    offsetY: offsetY,
+                    waving: state.rng() > 0.3, // All have arms, some are waving
+                    jumping: state.rng() > 0.7, // Some are jumping with excitement
+                    animationOffset: state.rng() * 100, // Different animation timing
+                    color: Math.floor(state.rng() * 6), // Different colored outfits
+                    animationSpeed: 0.5 + state.rng() * 1, // Different animation speeds
+                    leftArmRaised: state.rng() > 0.5, // Which arm is raised if waving
+                    rightArmRaised: state.rng() > 0.5  // Both arms might be raised
+                });
+            }
+
+            state.spectators.push(spectatorGroup);
+            state.spectatorSpawnTimer = 0;
+        }
+
+        // Move spectators at a speed relative to player's speed
+        state.spectators.forEach(spectator => spectator.worldX -= 2 + skier.speed * 0.2);
+
+        // Remove spectators that are far behind
+        state.spectators = state.spectators.filter(spectator => spectator.worldX > state.worldX - 600);
+    }
+
+    // Check collisions
+    function checkCollisions(state) {
+        const skier = state.skier;
+
+        state.obstacles.forEach(obstacle => {
+            const obstacleScreenX = obstacle.worldX - state.worldX;
+
+            if (obstacle.type === 'skier') {
+                // For fallen skiers - can ONLY jump over them, not duck
+                if (
+                    skier.x < obstacleScreenX + obstacle.width &&
+                    skier.x + 20 > obstacleScreenX &&
+                    skier.y < obstacle.y + obstacle.height &&
+                    skier.y + skier.height > obstacle.y
+                ) {
+                    // Must jump over fallen skiers, ducking doesn't help
+                    if (!skier.isJumping) crash(state, DeathCause.FALLEN_SKIER, obstacle);
+                }
+            } else if (obstacle.type === 'bridge') {
+                // For bridges - need to duck under
+                if (
+                    skier.x < obstacleScreenX + obstacle.width &&
+                    skier.x + 20 > obstacleScreenX
+                ) {
+                    // Check if skier is ducking properly
+                    if (skier.isDucking) {
+                        // Ducking skier should pass under bridge
+                        // Hockey position has significantly reduced height (25px)
+                        // Only collide if head actually hits bridge bottom
+                        const duckingHeadY = skier.y + 12; // Head position while ducking
+                        if (duckingHeadY < obstacle.y + obstacle.height && 
+                            duckingHeadY > obstacle.y) {
+                            crash(state, DeathCause.BRIDGE_DUCKING, obstacle);
+                        }
+                    } else {
+                        // If not ducking, collide with bridge
+                        if (skier.y < obstacle.y + obstacle.height && 
+                            skier.y + skier.height > obstacle.y) {
+                            crash(state, DeathCause.BRIDGE, obstacle);
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Package a run as a replay: the course seed plus every input with the
+    // step it was applied on (step * stepMs gives the time in milliseconds),
+    // and the beatmap of a rhythm track
+    function createReplay(state) {
+        const replay = {
+            version: REPLAY_VERSION,
+            course: seedToCourseCode(state.seed),
+            seed: state.seed,
+            mode: state.mode,
+            stepMs: STEP_MS,
+            steps: state.stepCount,
+            score: state.score,
+            inputs: state.inputLog.map(input => ({ step: input.step, key: input.key }))
+        };
+        if (state.beatmap) {
+            replay.beatmap = state.beatmap;
+        }
+        return replay;
+    }
+
+    // Check that a replay (e.g. received from a client) is well formed.
+    // Returns a description of the problem, or null if it is valid.
+    function validateReplay(replay) {
+        if (!replay || typeof replay !== 'object') return 'Replay is missing';
+        if (replay.version !== REPLAY_VERSION) return 'Unsupported replay version';
+        if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) return 'Invalid seed';
+        // Replays from before Marathon mode have no mode and are classic runs
+        if (replay.mode !== undefined && !Object.values(RunMode).includes(replay.mode)) return 'Invalid mode';
+        if (replay.mode === RunMode.RHYTHM) {
+            const beatmapError = Beatmap.validateBeatmap(replay.beatmap);
+            if (beatmapError) return `Invalid beatmap: ${beatmapError}`;
+        }
+        if (replay.stepMs !== STEP_MS) return 'Invalid step length';
+        if (!Number.isInteger(replay.steps) || replay.steps < 0 || replay.steps > MAX_REPLAY_STEPS) return 'Invalid run length';
+        if (!Array.isArray(replay.inputs) || replay.inputs.length > replay.steps * GAMEPLAY_KEYS.length) return 'Invalid inputs';
+
+        let previousStep = 0;
+        for (const input of replay.inputs) {
+            if (!input || !Number.isInteger(input.step) || input.step < previousStep || input.step >= replay.steps) {
+                return 'Invalid input step';
+            }
+            if (!GAMEPLAY_KEYS.includes(input.key)) return 'Invalid input key';
+            previousStep = input.step;
+        }
+
+        return null;
+    }
+
+    // The mode a replay was played in
+    function replayMode(replay) {
+        return replay.mode || RunMode.CLASSIC;
+    }
+
+    // Create a player that re-simulates a replay step by step
+    function createReplayPlayer(replay) {
+        const inputsByStep = new Map();
+        replay.inputs.forEach(input => {
+            if (!inputsByStep.has(input.step)) inputsByStep.set(input.step, []);
+            inputsByStep.get(input.step).push(input.key);
+        });
+
+        return {
+            replay,
+            inputsByStep,
+            state: createGame(replay.seed, replayMode(replay), replay.beatmap)
+        };
+    }
+
+    // Whether the replay has reached the end of the recorded run
+    function isReplayFinished(player) {
+        return player.state.isOver || player.state.stepCount >= player.replay.steps;
+    }
+
+    // Advance a replay by one step
+    function advanceReplay(player) {
+        if (isReplayFinished(player)) return player.state;
+        return step(player.state, player.inputsByStep.get(player.state.stepCount) || []);
+    }
+
+    // Move a replay to the given step, re-simulating from the start when going backwards
+    function seekReplay(player, targetStep) {
+        const target = Math.max(0, Math.min(targetStep, player.replay.steps));
+        if (target < player.state.stepCount) {
+            player.state = createGame(player.replay.seed, replayMode(player.replay), player.replay.beatmap);
+        }
+        while (player.state.stepCount < target && !isReplayFinished(player)) {
+            advanceReplay(player);
+        }
+        return player.state;
+    }
+
+    // Re-simulate a whole replay and return the final state
+    function simulateReplay(replay) {
+        const player = createReplayPlayer(replay);
+        return seekReplay(player, replay.steps);
+    }
+
+    Object.assign(GameCore, {
+        CANVAS_WIDTH,
+        CANVAS_HEIGHT,
+        SKIER_VERTICAL_OFFSET,
+        FPS,
+        STEP_MS,
+        TARGET_RHYTHM,
+        GAMEPLAY_KEYS,
+        RunMode,
+        BeatGrade,
+        Technique,
+        Pace,
+        MAX_HEALTH,
+        MAX_STAMINA,
+        FATIGUE_STAMINA,
+        DeathCause,
+        REPLAY_VERSION,
+        MAX_REPLAY_STEPS,
+        createGame,
+        step,
+        elevationAt,
+        slopeAt,
+        targetRhythm,
+        techniqueRhythm,
+        paceAt,
+        nextPaceChange,
+        terrainTechnique,
+        createReplay,
+        validateReplay,
+        replayMode,
+        createReplayPlayer,
+        isReplayFinished,
+        advanceReplay,
+        seekReplay,
+        simulateReplay
+    });
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.GameCore = {}));
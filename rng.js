@@ -0,0 +1,68 @@
+// Seeded random number generation for reproducible courses.
+// Loaded as a plain script in the browser (functions become globals) and
+// via require() in Node.
+
+// Course codes are the seed in base 36, padded so they always look alike
+const COURSE_CODE_LENGTH = 7;
+
+// Create a deterministic random function (mulberry32) returning floats in [0, 1)
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick a fresh 32-bit seed for a new course
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Turn a seed into a short shareable course code
+function seedToCourseCode(seed) {
+    return (seed >>> 0).toString(36).toUpperCase().padStart(COURSE_CODE_LENGTH, '0');
+}
+
+// Parse a course code back into a seed, or null if it isn't a valid code
+function courseCodeToSeed(code) {
+    if (typeof code !== 'string') return null;
+
+    const normalized = code.trim().toUpperCase();
+    if (!/^[0-9A-Z]{1,7}$/.test(normalized)) return null;
+
+    const seed = parseInt(normalized, 36);
+    if (seed > 0xFFFFFFFF) return null;
+
+    return seed >>> 0;
+}
+
+// Date of the daily course as YYYY-MM-DD. Days follow UTC so everyone
+// skis the same course at the same time.
+function dailyDateString(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Seed of the daily course for a YYYY-MM-DD date (FNV-1a hash of the date)
+function dailyCourseSeed(dateString) {
+    let hash = 0x811C9DC5;
+    for (const char of `daily-${dateString}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createRng,
+        randomSeed,
+        seedToCourseCode,
+        courseCodeToSeed,
+        dailyDateString,
+        dailyCourseSeed
+    };
+}
@@ -0,0 +1,242 @@
+// Admin API and moderation console.
+//
+// The console page is served at /admin and talks to the JSON API under
+// /admin/api. API requests need the X-API-Key header to match the
+// ADMIN_API_KEY environment variable; without it the admin API is disabled.
+// Every change made through the API is written to the audit log, next to
+// the score submissions the server logs itself.
+const express = require('express');
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
+const path = require('path');
+const { MAIN_BOARD, MARATHON_BOARD } = require('./storage');
+const { cleanName } = require('./players');
+const { BANNED_NAMES_LIST, isWordListName } = require('./wordLists');
+
+// Pages of scores and the audit log are capped so a request can't dump everything at once
+const MAX_SCORES_PAGE = 200;
+const MAX_AUDIT_PAGE = 500;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest();
+
+// The main board, the Marathon board or a daily board ("daily-2026-10-18")
+function isBoardName(board) {
+  return board === MAIN_BOARD || board === MARATHON_BOARD || /^daily-\d{4}-\d{2}-\d{2}$/.test(board);
+}
+
+// A whole number query parameter from min to max, its default if missing, or null if invalid
+function intParam(value, defaultValue, min, max) {
+  if (value === undefined) return defaultValue;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+// Check the changes an admin asked for, returning an error message or null
+function validateScoreChanges(changes) {
+  if (changes.name !== undefined && !cleanName(changes.name)) {
+    return 'Name must be 1 to 20 characters';
+  }
+  if (changes.score !== undefined && !(Number.isInteger(changes.score) && changes.score >= 0)) {
+    return 'Score must be a whole number of 0 or more';
+  }
+  if (changes.hidden !== undefined && typeof changes.hidden !== 'boolean') {
+    return 'Hidden must be true or false';
+  }
+  if (changes.name === undefined && changes.score === undefined && changes.hidden === undefined) {
+    return 'Nothing to change; send name, score or hidden';
+  }
+  return null;
+}
+
+// Express middleware checking the admin API key
+function requireApiKey(apiKey) {
+  // Comparing hashes keeps the comparison constant-time whatever the key length
+  const expected = apiKey ? hashKey(apiKey) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ error: 'Admin API is disabled; set ADMIN_API_KEY to enable it' });
+    }
+    if (!crypto.timingSafeEqual(hashKey(req.get('X-API-Key') || ''), expected)) {
+      console.warn(`Rejected admin request from ${req.ip}: invalid API key`);
+      return res.status(401).json({ error: 'A valid X-API-Key header is required' });
+    }
+    next();
+  };
+}
+
+// Router for the admin console. Word lists are changed through `wordLists`
+// (see wordLists.js), which also updates the name moderator.
+function createAdminRouter({ store, apiKey, wordLists }) {
+  const router = express.Router();
+  const api = express.Router();
+
+  // Record an admin action in the audit log
+  function audit(req, action, details) {
+    return store.appendAudit({ type: 'admin', action, createdAt: Date.now(), ip: req.ip, ...details });
+  }
+
+  // Replace a word list and log it, resolving to the saved list
+  async function updateWordList(req, name, words) {
+    const saved = await wordLists.save(name, words);
+    await audit(req, 'update_word_list', { list: name, version: saved.version, count: saved.words.length });
+    return saved;
+  }
+
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin', 'index.html'));
+  });
+
+  api.use(requireApiKey(apiKey));
+  api.use(bodyParser.json());
+
+  // Scores on a board, hidden ones included: ?board=main&sort=recent|score&limit=N&offset=N
+  api.get('/scores', async (req, res) => {
+    const board = req.query.board || MAIN_BOARD;
+    const sort = req.query.sort || 'recent';
+    const limit = intParam(req.query.limit, 50, 1, MAX_SCORES_PAGE);
+    const offset = intParam(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    if (!isBoardName(board) || !['recent', 'score'].includes(sort) || limit === null || offset === null) {
+      return res.status(400).json({ error: 'Invalid board, sort, limit or offset' });
+    }
+
+    try {
+      res.json(await store.listAll(board, { sort, limit, offset }));
+    } catch (error) {
+      console.error('Error listing scores for admin:', error);
+      res.status(500).json({ error: 'Failed to list scores', details: error.message });
+    }
+  });
+
+  // Edit or hide a score: { name?, score?, hidden? }
+  api.patch('/scores/:board/:id', async (req, res) => {
+    const { board, id } = req.params;
+    const changes = { name: req.body.name, score: req.body.score, hidden: req.body.hidden };
+    const validationError = isBoardName(board) ? validateScoreChanges(changes) : 'Unknown board';
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (changes.name !== undefined) {
+      changes.name = cleanName(changes.name);
+    }
+
+    try {
+      const entry = await store.updateScore(board, id, changes);
+      if (!entry) {
+        return res.status(404).json({ error: 'Score not found' });
+      }
+      await audit(req, 'update_score', { board, scoreId: id, changes });
+      res.json(entry);
+    } catch (error) {
+      console.error('Error updating score:', error);
+      res.status(500).json({ error: 'Failed to update score', details: error.message });
+    }
+  });
+
+  api.delete('/scores/:board/:id', async (req, res) => {
+    const { board, id } = req.params;
+    if (!isBoardName(board)) {
+      return res.status(400).json({ error: 'Unknown board' });
+    }
+
+    try {
+      if (!await store.deleteScore(board, id)) {
+        return res.status(404).json({ error: 'Score not found' });
+      }
+      await audit(req, 'delete_score', { board, scoreId: id });
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting score:', error);
+      res.status(500).json({ error: 'Failed to delete score', details: error.message });
+    }
+  });
+
+  // Ban a player (PUT) or lift the ban (DELETE). Banned players can't
+  // submit scores or claim names; their existing scores are left alone.
+  async function setBanned(req, res, banned) {
+    try {
+      const player = await store.setPlayerBanned(req.params.id, banned);
+      if (!player) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+      await audit(req, banned ? 'ban_player' : 'unban_player', { playerId: player.id, name: player.name || null });
+      res.json({ id: player.id, name: player.name || null, banned });
+    } catch (error) {
+      console.error('Error banning player:', error);
+      res.status(500).json({ error: 'Failed to update player', details: error.message });
+    }
+  }
+  api.put('/players/:id/ban', (req, res) => setBanned(req, res, true));
+  api.delete('/players/:id/ban', (req, res) => setBanned(req, res, false));
+
+  // Ban a name: { name }. It is added to the banned names list, so it (and
+  // lookalike spellings) can't be claimed or used to submit scores.
+  api.post('/banned-names', async (req, res) => {
+    const name = cleanName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ error: 'Name must be 1 to 20 characters' });
+    }
+
+    try {
+      const bannedNames = wordLists.find(BANNED_NAMES_LIST);
+      const names = bannedNames ? bannedNames.words : [];
+      if (!names.includes(name)) {
+        await updateWordList(req, BANNED_NAMES_LIST, names.concat(name));
+      }
+      res.status(201).json({ name });
+    } catch (error) {
+      console.error('Error banning name:', error);
+      res.status(500).json({ error: 'Failed to ban name', details: error.message });
+    }
+  });
+
+  // Latest audit log entries, newest first: ?limit=N
+  api.get('/audit', async (req, res) => {
+    const limit = intParam(req.query.limit, 100, 1, MAX_AUDIT_PAGE);
+    if (limit === null) {
+      return res.status(400).json({ error: `Limit must be a whole number from 1 to ${MAX_AUDIT_PAGE}` });
+    }
+
+    try {
+      res.json(await store.listAudit(limit));
+    } catch (error) {
+      console.error('Error reading audit log:', error);
+      res.status(500).json({ error: 'Failed to read audit log', details: error.message });
+    }
+  });
+
+  // Every word list with its kind (blocked, allowed or banned) and version
+  api.get('/wordlists', (req, res) => {
+    res.json(wordLists.all());
+  });
+
+  // Replace a word list, or add the list of a new locale: { words: [...] }.
+  // Locale lists are named by language code ("de", "pt-br").
+  api.put('/wordlists/:name', async (req, res) => {
+    const name = req.params.name;
+    if (!isWordListName(name)) {
+      return res.status(400).json({ error: 'Word list must be a locale code (e.g. "de" or "pt-br"), "allow" or "banned-names"' });
+    }
+
+    const words = req.body.words;
+    if (!Array.isArray(words) || !words.every(word => typeof word === 'string')) {
+      return res.status(400).json({ error: 'Words must be a list of strings' });
+    }
+
+    try {
+      res.json(await updateWordList(req, name, words));
+    } catch (error) {
+      console.error('Error saving word list:', error);
+      res.status(500).json({ error: 'Failed to save word list', details: error.message });
+    }
+  });
+
+  api.use((req, res) => {
+    res.status(404).json({ error: 'Unknown admin API route' });
+  });
+
+  router.use('/api', api);
+  return router;
+}
+
+module.exports = { createAdminRouter };
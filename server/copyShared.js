@@ -0,0 +1,35 @@
+// Copy the game files the server shares with the browser client (the game
+// core and what it loads) from the repository root into shared/.
+//
+// App Engine only uploads this directory, so the server can't load them
+// from the root once deployed. `npm run deploy` copies them before
+// uploading, and `npm start` before starting so a local server always runs
+// the current rules. Where the root isn't there (on App Engine itself), the
+// copies uploaded with the server are used as they are.
+const fs = require('fs');
+const path = require('path');
+
+const SHARED_FILES = ['rng.js', 'beatmap.js', 'gamecore.js'];
+const ROOT_DIR = path.join(__dirname, '..');
+const SHARED_DIR = path.join(__dirname, 'shared');
+
+function copySharedFiles() {
+  if (!SHARED_FILES.every(file => fs.existsSync(path.join(ROOT_DIR, file)))) {
+    if (SHARED_FILES.every(file => fs.existsSync(path.join(SHARED_DIR, file)))) {
+      return;
+    }
+    throw new Error(`The game core is missing: copy ${SHARED_FILES.join(', ')} into ${SHARED_DIR}`);
+  }
+
+  fs.mkdirSync(SHARED_DIR, { recursive: true });
+  SHARED_FILES.forEach(file => {
+    fs.copyFileSync(path.join(ROOT_DIR, file), path.join(SHARED_DIR, file));
+  });
+  console.log(`Copied ${SHARED_FILES.join(', ')} into ${path.relative(process.cwd(), SHARED_DIR) || '.'}`);
+}
+
+if (require.main === module) {
+  copySharedFiles();
+}
+
+module.exports = { copySharedFiles };
@@ -0,0 +1,101 @@
+// Cross-origin access policy.
+//
+// Which front-ends may use the server is configured per environment in
+// cors.json (or the file named by CORS_CONFIG_FILE). The profile is picked
+// with CORS_PROFILE, falling back to NODE_ENV and then "development", and
+// any of its settings can be overridden with environment variables:
+//   CORS_ALLOWED_ORIGINS  - comma-separated origins, or * for any origin
+//   CORS_ALLOWED_METHODS  - comma-separated methods
+//   CORS_ALLOWED_HEADERS  - comma-separated request headers
+//   CORS_MAX_AGE          - seconds browsers may cache a preflight response
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'cors.json');
+
+const DEFAULT_METHODS = ['GET', 'POST', 'PUT', 'OPTIONS'];
+const DEFAULT_HEADERS = ['Content-Type', 'Authorization', 'X-API-Key', 'If-None-Match'];
+const DEFAULT_MAX_AGE = 600;
+
+// Response headers the game reads: Retry-After on 429 responses, and the
+// ETag of the word lists it caches
+const EXPOSED_HEADERS = ['Retry-After', 'ETag'];
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Load the policy for the configured profile
+function loadCorsPolicy(env = process.env) {
+  const configFile = env.CORS_CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const profiles = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  const profileName = env.CORS_PROFILE || env.NODE_ENV || 'development';
+
+  const profile = profiles[profileName];
+  if (!profile) {
+    throw new Error(`Unknown CORS profile "${profileName}" in ${configFile}`);
+  }
+
+  return {
+    profile: profileName,
+    allowedOrigins: env.CORS_ALLOWED_ORIGINS ? splitList(env.CORS_ALLOWED_ORIGINS) : profile.allowedOrigins || [],
+    allowedMethods: env.CORS_ALLOWED_METHODS ? splitList(env.CORS_ALLOWED_METHODS) : profile.allowedMethods || DEFAULT_METHODS,
+    allowedHeaders: env.CORS_ALLOWED_HEADERS ? splitList(env.CORS_ALLOWED_HEADERS) : profile.allowedHeaders || DEFAULT_HEADERS,
+    maxAge: env.CORS_MAX_AGE !== undefined ? Number(env.CORS_MAX_AGE) : profile.maxAge ?? DEFAULT_MAX_AGE
+  };
+}
+
+// Origin a request comes from: the Origin header, or the origin of the
+// Referer for requests that don't send one
+function requestOrigin(req) {
+  if (req.headers.origin) {
+    return req.headers.origin;
+  }
+  if (req.headers.referer) {
+    try {
+      return new URL(req.headers.referer).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function isAllowedOrigin(policy, origin) {
+  return Boolean(origin) && (policy.allowedOrigins.includes('*') || policy.allowedOrigins.includes(origin));
+}
+
+// Express middleware answering preflights and restricting access to the
+// allowed origins. Preflights are always answered, but only get CORS headers
+// for allowed origins, so the browser refuses the real request for others.
+function createCorsMiddleware(policy) {
+  return (req, res, next) => {
+    const origin = requestOrigin(req);
+    const allowed = isAllowedOrigin(policy, origin);
+
+    res.vary('Origin');
+    if (allowed && req.headers.origin) {
+      res.header('Access-Control-Allow-Origin', req.headers.origin);
+      res.header('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+    }
+
+    if (req.method === 'OPTIONS') {
+      if (allowed) {
+        res.header('Access-Control-Allow-Methods', policy.allowedMethods.join(', '));
+        res.header('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+        res.header('Access-Control-Max-Age', String(policy.maxAge));
+      }
+      return res.sendStatus(204);
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+    // HEAD requests are GETs without a body
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    if (!policy.allowedMethods.includes(method)) {
+      return res.status(405).json({ error: `Method ${req.method} is not allowed` });
+    }
+    next();
+  };
+}
+
+module.exports = { loadCorsPolicy, createCorsMiddleware };
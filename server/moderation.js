@@ -0,0 +1,133 @@
+// Player name moderation.
+//
+// Names and blocked words are folded to a common form before comparing:
+// Unicode compatibility forms and accents are flattened, invisible
+// characters dropped, homoglyphs (Cyrillic/Greek lookalikes) and leetspeak
+// mapped to plain letters, and l/i treated as the same letter. Repeated
+// letters ("fuuuck") still match.
+//
+// Matching is word-boundary aware: a blocked word must be a whole word of
+// the name, or the whole name with its separators removed ("f u c k"). Only
+// blocked words of SUBSTRING_MIN_LENGTH letters or more also match inside
+// longer words, so short words don't block innocent names ("Cassandra").
+// Words on the allowlist are never blocked. Names banned by an admin are
+// blocked only as a whole name, in any spelling that folds the same.
+// The word lists themselves are managed by wordLists.js.
+
+const SUBSTRING_MIN_LENGTH = 5;
+const MAX_NAME_LENGTH = 20;
+
+// Cyrillic and Greek letters that look like Latin ones
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+  'υ': 'u', 'χ': 'x'
+};
+
+// Digits and symbols used in place of letters
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e'
+};
+
+// Letters that are hard to tell apart, so they are folded together
+const LOOKALIKES = { 'l': 'i' };
+
+// Fold text to the form names and blocked words are compared in
+function foldText(text) {
+  return Array.from(text.normalize('NFKD').replace(/[\p{M}\p{Cf}]/gu, '').toLowerCase())
+    .map(char => HOMOGLYPHS[char] || LEETSPEAK[char] || char)
+    .map(char => LOOKALIKES[char] || char)
+    .join('');
+}
+
+// Words of folded text. Runs of single letters are spelled-out words
+// ("f.u.c.k"), so they are joined back together.
+function wordsOf(folded) {
+  const words = [];
+  let spelledOut = '';
+  folded.split(/[^\p{L}]+/u).filter(Boolean).forEach(word => {
+    if (word.length === 1) {
+      spelledOut += word;
+      return;
+    }
+    if (spelledOut) words.push(spelledOut);
+    spelledOut = '';
+    words.push(word);
+  });
+  if (spelledOut) words.push(spelledOut);
+  return words;
+}
+
+// Letters of folded text, without spaces, digits or punctuation
+function compactFold(text) {
+  return foldText(text).replace(/[^\p{L}]+/gu, '');
+}
+
+// Pattern for a folded blocked word, allowing each letter to be repeated
+function letterPattern(word) {
+  return Array.from(word).map(char => `${char}+`).join('');
+}
+
+// Hide most of a blocked word when telling the player about it
+function maskWord(word) {
+  return word[0] + '*'.repeat(word.length - 1);
+}
+
+function createNameModerator({ blockedWords, allowedWords, bannedNames = [] }) {
+  const allowed = new Set(allowedWords.map(compactFold));
+  const banned = new Set(bannedNames.map(compactFold).filter(Boolean));
+
+  // Fold each blocked word once; words folding to the same letters are one
+  // entry, named after its plainest spelling for the moderation reasons
+  const isPlain = word => /^\p{L}+$/u.test(word);
+  const blocked = new Map();
+  blockedWords.forEach(word => {
+    const folded = compactFold(word);
+    const existing = blocked.get(folded);
+    if (folded && (!existing || (isPlain(word) && !isPlain(existing.word)))) {
+      blocked.set(folded, {
+        word,
+        whole: new RegExp(`^${letterPattern(folded)}$`, 'u'),
+        inside: folded.length >= SUBSTRING_MIN_LENGTH ? new RegExp(letterPattern(folded), 'u') : null
+      });
+    }
+  });
+
+  return {
+    // Check a name. Returns { allowed, reasons } where each reason has a
+    // code and a message that can be shown to the player.
+    moderate(name) {
+      const reasons = [];
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return { allowed: false, reasons: [{ code: 'empty', message: 'Name is empty' }] };
+      }
+      if (Array.from(name.trim()).length > MAX_NAME_LENGTH) {
+        reasons.push({ code: 'too_long', message: `Name must be ${MAX_NAME_LENGTH} characters or less` });
+      }
+      if (/\p{Cc}/u.test(name)) {
+        reasons.push({ code: 'invalid_characters', message: 'Name contains control characters' });
+      }
+      if (banned.has(compactFold(name))) {
+        reasons.push({ code: 'banned_name', message: 'Name has been banned' });
+      }
+
+      const words = wordsOf(foldText(name)).filter(word => !allowed.has(word));
+      const compact = words.join('');
+
+      blocked.forEach(entry => {
+        const matched = words.some(word => entry.whole.test(word) || (entry.inside && entry.inside.test(word))) ||
+          entry.whole.test(compact) || (entry.inside && entry.inside.test(compact));
+        if (matched) {
+          reasons.push({ code: 'blocked_word', message: `Name contains a blocked word (${maskWord(entry.word)})` });
+        }
+      });
+
+      return { allowed: reasons.length === 0, reasons };
+    }
+  };
+}
+
+module.exports = { foldText, createNameModerator };
@@ -0,0 +1,79 @@
+// Player accounts.
+//
+// A player starts as an anonymous account (a random id plus a secret token
+// the device keeps) and can claim a username, which is then reserved for
+// them. Requests authenticate with "Authorization: Bearer <id>.<token>".
+// Only a hash of the token is stored, and the id.token pair doubles as the
+// recovery code for using the account on another device.
+const crypto = require('crypto');
+const { foldText } = require('./moderation');
+
+// Longest username, matching what the game accepts
+const MAX_NAME_LENGTH = 20;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create the credentials of a new anonymous player
+function createPlayerCredentials() {
+  const id = crypto.randomBytes(12).toString('hex');
+  const token = crypto.randomBytes(24).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return { id, token, player: { id, tokenHash: hashToken(token), createdAt: Date.now() } };
+}
+
+// Tidy up a requested username, or return null if there is nothing left of it
+function cleanName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name
+    .normalize('NFKC')
+    .replace(/[\p{Cc}\p{Cf}]/gu, '')
+    .replace(/[<>'"&;]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned && cleaned.length <= MAX_NAME_LENGTH ? cleaned : null;
+}
+
+// Key a name is reserved under. Names are folded like for moderation, so
+// lookalikes ("bob", "B0b", Cyrillic "Воb") can't be claimed by someone else.
+function nameKey(name) {
+  return foldText(name).replace(/\s+/g, ' ').trim();
+}
+
+// Express middleware loading the authenticated player into req.player.
+// Responds with 401 unless the request carries valid player credentials.
+function requirePlayer(store) {
+  return async (req, res, next) => {
+    const match = /^Bearer ([0-9a-f]+)\.([\w-]+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return res.status(401).json({ error: 'Player credentials are required' });
+    }
+
+    try {
+      const player = await store.findPlayer(match[1]);
+      const expected = player ? Buffer.from(player.tokenHash, 'hex') : null;
+      const actual = Buffer.from(hashToken(match[2]), 'hex');
+      if (!expected || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json({ error: 'Player credentials are invalid' });
+      }
+
+      req.player = player;
+      next();
+    } catch (error) {
+      console.error('Error authenticating player:', error);
+      res.status(500).json({ error: 'Failed to authenticate player' });
+    }
+  };
+}
+
+// Public form of a player
+function toPublicPlayer(player) {
+  return { id: player.id, name: player.name || null };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  createPlayerCredentials,
+  cleanName,
+  nameKey,
+  requirePlayer,
+  toPublicPlayer
+};
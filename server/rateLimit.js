@@ -0,0 +1,56 @@
+// Fixed-window rate limiting, kept in memory.
+//
+// Each limiter counts hits per key (an IP address, a player name, ...) and
+// refuses them once `max` hits have been made within `windowMs`.
+
+function createRateLimiter({ max, windowMs }) {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  // Forget windows that have ended so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Count a hit for `key`. Returns how many seconds to wait if the limit
+    // is exceeded, or 0 if the hit is allowed.
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count++;
+      return window.count > max ? Math.ceil((window.resetAt - now) / 1000) : 0;
+    }
+  };
+}
+
+// Reply with 429 Too Many Requests
+function sendRateLimited(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retryAfter });
+}
+
+// Express middleware limiting requests per client IP
+function limitByIp(limiter, message) {
+  return (req, res, next) => {
+    const retryAfter = limiter.hit(req.ip);
+    if (retryAfter > 0) {
+      console.warn(`Rate limited ${req.method} ${req.path} from ${req.ip}`);
+      return sendRateLimited(res, retryAfter, message);
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, sendRateLimited, limitByIp };
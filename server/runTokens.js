@@ -0,0 +1,123 @@
+// Signed run tokens.
+//
+// The server hands out a token when a run starts, and a score is only
+// accepted with the token of the run it came from. Tokens are signed with
+// HMAC-SHA256, tied to the course seed, single-use, and only valid for as
+// long as the run itself took plus a grace period for entering a name (or
+// for a score queued offline to reach the server). A run can't be submitted
+// sooner than it could have been played either. A token can also carry
+// claims about the run (such as the player and date of a scored daily run),
+// which the submission has to match. If the score of a run can't be stored,
+// its token is released again so the submission can be retried.
+const crypto = require('crypto');
+const { STEP_MS } = require('./shared/gamecore');
+
+// Time allowed between the end of a run and its submission
+const DEFAULT_GRACE_MS = 5 * 60 * 1000;
+// Allowance for the delay between starting a run and the token being issued
+const CLOCK_SLACK_MS = 5000;
+
+const base64url = buffer => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromBase64url = text => Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+function createRunTokens(options = {}) {
+  const graceMs = options.graceMs || DEFAULT_GRACE_MS;
+  let secret = options.secret;
+  if (!secret) {
+    // Tokens then only verify on this instance and stop working after a restart
+    console.warn('RUN_TOKEN_SECRET is not set; using a random secret for run tokens');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  // Nonces of tokens that have been used -> when they would expire anyway
+  const usedNonces = new Map();
+
+  const sign = payload => base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+  // Forget used tokens once they have expired
+  function sweepUsedNonces() {
+    const now = Date.now();
+    usedNonces.forEach((expiresAt, nonce) => {
+      if (expiresAt <= now) {
+        usedNonces.delete(nonce);
+      }
+    });
+  }
+  setInterval(sweepUsedNonces, graceMs).unref();
+
+  // The claims of a token with a valid signature, or null
+  function readClaims(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+      return JSON.parse(fromBase64url(payload).toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    // Issue a token for a run on the course with this seed, with any extra claims
+    issue(seed, extraClaims = {}) {
+      const payload = base64url(Buffer.from(JSON.stringify({
+        ...extraClaims,
+        seed,
+        issuedAt: Date.now(),
+        nonce: base64url(crypto.randomBytes(12))
+      })));
+      return `${payload}.${sign(payload)}`;
+    },
+
+    // Check the token a replay was submitted with and use it up.
+    // The token has to carry every claim in `expectedClaims`.
+    // Returns a description of the problem, or null if the token is valid.
+    redeem(token, replay, expectedClaims = {}) {
+      if (typeof token !== 'string' || !token.includes('.')) {
+        return 'Run token is missing';
+      }
+
+      const claims = readClaims(token);
+      if (!claims) {
+        return 'Run token is invalid';
+      }
+
+      if (claims.seed !== replay.seed) {
+        return 'Run token is for a different course';
+      }
+      if (Object.keys(expectedClaims).some(name => claims[name] !== expectedClaims[name])) {
+        return 'Run token is not for this run';
+      }
+
+      const elapsed = Date.now() - claims.issuedAt;
+      const runDuration = replay.steps * STEP_MS;
+      if (elapsed + CLOCK_SLACK_MS < runDuration) {
+        return 'Run was submitted sooner than it could have been played';
+      }
+      if (elapsed > runDuration + graceMs) {
+        return 'Run token has expired';
+      }
+
+      if (usedNonces.has(claims.nonce)) {
+        return 'Run token has already been used';
+      }
+      usedNonces.set(claims.nonce, claims.issuedAt + runDuration + graceMs + CLOCK_SLACK_MS);
+      return null;
+    },
+
+    // Make a redeemed token usable again, when the score it was redeemed for
+    // couldn't be stored
+    release(token) {
+      const claims = readClaims(token);
+      if (claims) {
+        usedNonces.delete(claims.nonce);
+      }
+    }
+  };
+}
+
+module.exports = { createRunTokens };
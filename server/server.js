@@ -1,198 +1,460 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Firestore } = require('@google-cloud/firestore');
-const fs = require('fs');
-const path = require('path');
+// The game core is shared with the browser client and used to re-simulate
+// submitted runs. It is copied from the repository root (see copyShared.js).
+const GameCore = require('./shared/gamecore');
+const { dailyDateString, dailyCourseSeed } = require('./shared/rng');
+const { DEFAULT_HIGH_SCORES, MAIN_BOARD, MARATHON_BOARD, createStoreFromEnv } = require('./storage');
+const { createRateLimiter, sendRateLimited, limitByIp } = require('./rateLimit');
+const { createRunTokens } = require('./runTokens');
+const { loadCorsPolicy, createCorsMiddleware } = require('./cors');
+const { createPlayerCredentials, cleanName, nameKey, requirePlayer, toPublicPlayer } = require('./players');
+const { createWordLists, isLocaleName } = require('./wordLists');
+const { createAdminRouter } = require('./admin');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Path to the JSON file for storing high scores locally
-const highScoresFilePath = path.join(__dirname, 'highscores.json');
-
-// Initialize high scores file if it doesn't exist
-if (!fs.existsSync(highScoresFilePath)) {
-  const initialData = [
-    { "name": "Player1", "score": 1005 },
-    { "name": "Player2", "score": 950 },
-    { "name": "Player3", "score": 900 },
-    { "name": "Player4", "score": 850 },
-    { "name": "Player5", "score": 800 }
-  ];
-  fs.writeFileSync(highScoresFilePath, JSON.stringify(initialData, null, 2));
-  console.log('Created initial high scores file');
+// Behind a proxy (e.g. App Engine) the client IP comes from X-Forwarded-For.
+// TRUST_PROXY is the number of proxies in front of the server; only the
+// addresses they added are trusted, or anyone could pick their own IP.
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || 0);
+
+// Leaderboards show the top 20 scores by default, and at most 100
+const MAX_HIGH_SCORES = 20;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+// Leaderboard periods and how far back they reach (null = all scores ever)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEADERBOARD_PERIODS = {
+  'all-time': null,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+// High score storage backend, chosen with HIGHSCORE_STORE (file, memory, sqlite or firestore)
+const highScoreStore = createStoreFromEnv();
+
+// Rate limits: accounts created and runs started per IP, and score submissions per IP and per player
+const playerCreationLimiter = createRateLimiter({ max: 10, windowMs: 60 * 60 * 1000 });
+const runStartLimiter = createRateLimiter({ max: 30, windowMs: 60 * 1000 });
+const submissionIpLimiter = createRateLimiter({ max: 10, windowMs: 60 * 1000 });
+const submissionPlayerLimiter = createRateLimiter({ max: 5, windowMs: 10 * 60 * 1000 });
+
+// Player names are checked against word lists kept in the store, which
+// admins can edit (see wordLists.js)
+const wordLists = createWordLists({ store: highScoreStore });
+wordLists.load().catch(error => console.error('Error loading word lists:', error));
+
+// Scores must come with the signed token issued when their run started. The
+// game queues scores it can't submit right away (e.g. offline), so they are
+// accepted for up to a day after the run.
+const runTokens = createRunTokens({ secret: process.env.RUN_TOKEN_SECRET, graceMs: DAY_MS });
+
+// Daily challenge boards are named after their date
+function dailyBoard(date) {
+  return `daily-${date}`;
+}
+
+// The board a score submission is for
+function submissionBoard(req) {
+  if (req.path === '/highscores/daily') return dailyBoard(req.body.date);
+  if (req.path === '/highscores/marathon') return MARATHON_BOARD;
+  return MAIN_BOARD;
+}
+
+// Daily scores are accepted for today, and for yesterday so runs that
+// started just before midnight (UTC) still count
+function isOpenDailyDate(date) {
+  const now = new Date();
+  const yesterday = new Date(now.getTime() - DAY_MS);
+  return date === dailyDateString(now) || date === dailyDateString(yesterday);
+}
+
+// The scores of a player (oldest first) that beat all of their earlier ones
+function personalBestHistory(entries) {
+  const history = [];
+  entries.forEach(entry => {
+    if (history.length === 0 || entry.score > history[history.length - 1].score) {
+      history.push(entry);
+    }
+  });
+  return history;
 }
 
-// Helper functions for file-based storage
-function readHighScoresFromFile() {
+// Check that a submitted run was played in `mode` (a GameCore.RunMode) and
+// came from a run the server started (with the token claims in
+// `expectedClaims`), then re-simulate it and check that it produces the
+// claimed score.
+// Returns { error } describing the problem, or { state } with the final
+// state of the replayed run if the score is genuine.
+function verifyScore(score, replay, runToken, mode, expectedClaims) {
+  // Checked first, so a replay of another mode (say a rhythm run with a
+  // huge beatmap) is turned away before any work goes into validating it
+  if (replay && GameCore.replayMode(replay) !== mode) {
+    return { error: `Replay is not a ${mode} run` };
+  }
+  const replayError = GameCore.validateReplay(replay);
+  if (replayError) {
+    return { error: replayError };
+  }
+
+  const tokenError = runTokens.redeem(runToken, replay, expectedClaims);
+  if (tokenError) {
+    return { error: tokenError };
+  }
+
   try {
-    const data = fs.readFileSync(highScoresFilePath, 'utf8');
-    return JSON.parse(data);
+    const finalState = GameCore.simulateReplay(replay);
+    if (!finalState.isOver || finalState.stepCount !== replay.steps) {
+      return { error: 'Replay does not end the run' };
+    }
+    if (finalState.score !== score) {
+      return { error: 'Replayed score does not match' };
+    }
+    return { state: finalState };
   } catch (error) {
-    console.error('Error reading high scores file:', error);
-    return [];
+    console.error('Error replaying submitted run:', error);
+    return { error: 'Replay could not be simulated' };
   }
 }
 
-function writeHighScoresToFile(highScores) {
-  try {
-    fs.writeFileSync(highScoresFilePath, JSON.stringify(highScores, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error writing high scores file:', error);
-    return false;
+// The admin console and API (see admin.js). Mounted before the CORS checks,
+// since the console is served by this server and calls it from its own origin.
+app.use('/admin', createAdminRouter({
+  store: highScoreStore,
+  apiKey: process.env.ADMIN_API_KEY,
+  wordLists
+}));
+
+// Allowed origins, methods and headers come from the CORS profile for this
+// environment (see cors.js). Preflights are answered before access is checked.
+const corsPolicy = loadCorsPolicy();
+app.use(createCorsMiddleware(corsPolicy));
+
+// Replays of long runs carry thousands of inputs
+app.use(bodyParser.json({ limit: '1mb' }));
+
+// Loads the player making the request into req.player (401 without valid credentials)
+const authenticatePlayer = requirePlayer(highScoreStore);
+
+// Refuse players an admin has banned
+function refuseBannedPlayer(req, res, next) {
+  if (req.player.banned) {
+    console.warn(`Refused request from banned player ${req.player.id}`);
+    return res.status(403).json({ error: 'This player has been banned' });
   }
+  next();
 }
 
-// Initialize Firestore
-const firestore = new Firestore({
-  databaseId: 'highscores'
-});
-const highScoresCollection = firestore.collection('highscores');
+// Log every score submission that gets past the IP rate limit, accepted or
+// rejected, to the audit log shown in the admin console
+function auditSubmission(req, res, next) {
+  let responseBody = {};
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    responseBody = body || {};
+    return sendJson(body);
+  };
 
-<<<<<<< HEAD
- 
-=======
+  res.on('finish', () => {
+    const accepted = res.statusCode < 400;
+    highScoreStore.appendAudit({
+      type: 'submission',
+      createdAt: Date.now(),
+      board: submissionBoard(req),
+      ip: req.ip,
+      playerId: req.player ? req.player.id : null,
+      name: req.player ? req.player.name || null : null,
+      score: Number(req.body.score) || 0,
+      status: res.statusCode,
+      outcome: accepted ? 'accepted' : 'rejected',
+      reason: accepted ? null : responseBody.details || responseBody.error || null,
+      scoreId: accepted ? responseBody.id : null
+    }).catch(error => console.error('Error writing audit log:', error));
+  });
+  next();
+}
 
->>>>>>> bcea4f8 (Initial commit)
-// Middleware to restrict access to einarnot.github.io
-const restrictToDomain = (req, res, next) => {
-  const allowedOrigin = 'https://einarnot.github.io';
-  const origin = req.headers.origin || req.headers.referer;
+// Refuse submissions from a player who is submitting too often
+function limitByPlayer(req, res, next) {
+  const retryAfter = submissionPlayerLimiter.hit(req.player.id);
+  if (retryAfter > 0) {
+    console.warn(`Rate limited score submissions from player ${req.player.id}`);
+    return sendRateLimited(res, retryAfter, 'Too many scores submitted by this player');
+  }
+  next();
+}
 
-  // Normalize referer by removing trailing slashes or paths if present
-  const normalizedOrigin = origin ? origin.replace(/\/$/, '') : '';
+// Scores are submitted under the player's claimed username, which has to
+// pass moderation (the word lists may have changed since it was claimed)
+function requireAcceptableName(req, res, next) {
+  if (!req.player.name) {
+    return res.status(403).json({ error: 'Claim a username before submitting scores' });
+  }
 
-  if (!normalizedOrigin || normalizedOrigin !== allowedOrigin) {
-    return res.status(403).json({ error: 'Access denied: Unauthorized' });
+  const moderation = wordLists.moderator().moderate(req.player.name);
+  if (!moderation.allowed) {
+    console.warn(`Rejected score from player ${req.player.id}: name "${req.player.name}" is not allowed`);
+    return res.status(422).json({ error: 'Your username is not allowed, please choose another one', reasons: moderation.reasons });
   }
   next();
-};
+}
 
-// Apply the middleware to all routes (or specific ones)
-app.use(restrictToDomain);
-// For CORS preflight requests
-app.options('*', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
-  res.sendStatus(200);
+const limitSubmissions = [
+  limitByIp(submissionIpLimiter, 'Too many score submissions'),
+  auditSubmission,
+  authenticatePlayer,
+  refuseBannedPlayer,
+  limitByPlayer,
+  requireAcceptableName
+];
+
+// Answer with a word list body and its ETag, or 304 if the client already
+// has this version. If-None-Match is compared here rather than with
+// req.fresh, which ignores it when the request also says "no-cache" (as
+// fetch() does when a script sets If-None-Match itself).
+function sendWordList(req, res, etag, send) {
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+  const cachedTags = (req.get('If-None-Match') || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (cachedTags.includes(etag)) {
+    return res.status(304).end();
+  }
+  send();
+}
+
+// The blocked words of every locale plus the allowlist, for the game's own
+// check of names before claiming them
+app.get('/badwords', (req, res) => {
+  const { etag, body } = wordLists.published();
+  sendWordList(req, res, etag, () => res.json(body));
 });
 
-// Enable CORS for all routes
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
-  next();
+// One locale's blocked words as plain text, one per line (/badwords/en or /badwords/en.txt)
+app.get('/badwords/:locale', (req, res) => {
+  const name = req.params.locale.replace(/\.txt$/, '');
+  const list = isLocaleName(name) ? wordLists.find(name) : null;
+  if (!list) {
+    return res.status(404).json({ error: 'Word list not found' });
+  }
+
+  sendWordList(req, res, `"${name}-v${list.version}"`, () => {
+    res.type('text/plain').send(list.words.join('\n'));
+  });
 });
 
-app.use(bodyParser.json());
+// Create an anonymous player. The token is only ever returned here; the
+// game keeps it to prove who it is playing as.
+app.post('/players', limitByIp(playerCreationLimiter, 'Too many players created'), async (req, res) => {
+  try {
+    const { id, token, player } = createPlayerCredentials();
+    await highScoreStore.createPlayer(player);
+    res.status(201).json({ id, token, name: null });
+  } catch (error) {
+    console.error('Error creating player:', error);
+    res.status(500).json({ error: 'Failed to create player', details: error.message });
+  }
+});
 
-// Serve bad words lists
-app.get('/badwords/:file', (req, res) => {
-  const fileName = req.params.file;
-  
-  if (fileName !== 'en.txt' && fileName !== 'no.txt') {
-    return res.status(404).json({ error: 'File not found' });
+// The authenticated player (also used to check a recovery code)
+app.get('/players/me', authenticatePlayer, (req, res) => {
+  res.json(toPublicPlayer(req.player));
+});
+
+// Claim a username, or change it, releasing the old one
+app.put('/players/me/name', authenticatePlayer, refuseBannedPlayer, async (req, res) => {
+  const moderation = wordLists.moderator().moderate(req.body.name);
+  if (!moderation.allowed) {
+    return res.status(422).json({ error: 'Name is not allowed', reasons: moderation.reasons });
   }
-  
-  const filePath = path.join(__dirname, 'badwords', fileName);
-  
+
+  const name = cleanName(req.body.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Name must be 1 to 20 characters' });
+  }
+
   try {
-    if (fs.existsSync(filePath)) {
-      res.setHeader('Content-Type', 'text/plain');
-      res.sendFile(filePath);
-    } else {
-      res.status(404).json({ error: 'File not found' });
+    if (!await highScoreStore.claimPlayerName(req.player.id, name, nameKey(name))) {
+      return res.status(409).json({ error: 'This name has already been claimed by another player' });
     }
+    res.json(toPublicPlayer({ ...req.player, name }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to retrieve file' });
+    console.error('Error claiming name:', error);
+    res.status(500).json({ error: 'Failed to claim name', details: error.message });
   }
 });
 
-app.get('/highscores', async (req, res) => {
-  const isLocalhost = req.hostname === 'localhost' || req.hostname === '127.0.0.1';
-  
-  if (isLocalhost) {
-    try {
-      const highScores = readHighScoresFromFile();
-      highScores.sort((a, b) => b.score - a.score);
-      return res.json(highScores);
-    } catch (error) {
-      console.error('Error reading high scores from file:', error);
-      return res.status(500).json({ error: 'Failed to retrieve high scores' });
-    }
+// Start a run: issue the token its score has to be submitted with
+app.post('/runs', limitByIp(runStartLimiter, 'Too many runs started'), (req, res) => {
+  const seed = req.body.seed;
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    return res.status(400).json({ error: 'A valid course seed is required' });
   }
 
+  res.status(201).json({ token: runTokens.issue(seed) });
+});
+
+// Start the player's scored Daily Ski run of the day. Each player gets one
+// of these tokens per day, and a daily score is only accepted with it, so
+// every other run on the daily course is practice.
+app.post('/runs/daily', limitByIp(runStartLimiter, 'Too many runs started'), authenticatePlayer, refuseBannedPlayer, async (req, res) => {
+  const date = dailyDateString();
   try {
-    const snapshot = await highScoresCollection.orderBy('score', 'desc').limit(20).get();
-    const highScores = snapshot.docs.map(doc => doc.data());
-    res.json(highScores);
+    if (!await highScoreStore.startDailyRun(req.player.id, date)) {
+      return res.status(409).json({ error: 'You have already started your scored daily run today' });
+    }
+    res.status(201).json({ token: runTokens.issue(dailyCourseSeed(date), { daily: date, playerId: req.player.id }), date });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to retrieve high scores' });
+    console.error('Error starting daily run:', error);
+    res.status(500).json({ error: 'Failed to start daily run', details: error.message });
   }
 });
 
-app.post('/highscores', async (req, res) => {
-  const { name, score } = req.body;
-  if (!name || !score) {
-    return res.status(400).json({ error: 'Name and score are required' });
-  }
+// Handler for a board's leaderboard over a period: ?period=all-time|week|month&limit=N
+function sendLeaderboard(board) {
+  return async (req, res) => {
+    const period = req.query.period || 'all-time';
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+      return res.status(400).json({ error: `Period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}` });
+    }
+
+    const limit = req.query.limit === undefined ? MAX_HIGH_SCORES : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+      return res.status(400).json({ error: `Limit must be a whole number from 1 to ${MAX_LEADERBOARD_LIMIT}` });
+    }
 
-  const isLocalhost = req.hostname === 'localhost' || req.hostname === '127.0.0.1';
-  
-  if (isLocalhost) {
     try {
-      const highScores = readHighScoresFromFile();
-      const newScore = {
-        name,
-        score: Number(score),
-        id: Date.now().toString()
-      };
-      
-      highScores.push(newScore);
-      highScores.sort((a, b) => b.score - a.score);
-      const topHighScores = highScores.slice(0, 20);
-      
-      const success = writeHighScoresToFile(topHighScores);
-      
-      if (success) {
-        res.status(201).json({ message: 'Score added successfully', id: newScore.id });
-      } else {
-        res.status(500).json({ error: 'Failed to save score to file' });
-      }
+      const periodLength = LEADERBOARD_PERIODS[period];
+      const since = periodLength === null ? 0 : Date.now() - periodLength;
+      const highScores = await highScoreStore.list(board, limit, since);
+      res.json(highScores);
     } catch (error) {
-      console.error('Error adding score to file:', error);
-      res.status(500).json({ error: 'Failed to add score', details: error.message });
+      console.error('Error reading high scores:', error);
+      res.status(500).json({ error: 'Failed to retrieve high scores' });
+    }
+  };
+}
+
+app.get('/highscores', sendLeaderboard(MAIN_BOARD));
+app.get('/highscores/marathon', sendLeaderboard(MARATHON_BOARD));
+
+// Handler for score submissions to a board, which takes runs played in `mode`
+function submitScore(board, mode) {
+  return async (req, res) => {
+    const { score, replay, runToken } = req.body;
+    const { id: playerId, name } = req.player;
+    if (!score) {
+      return res.status(400).json({ error: 'Score is required' });
     }
-  } else {
+
+    const { error: verificationError, state: finalState } = verifyScore(Number(score), replay, runToken, mode);
+    if (verificationError) {
+      console.warn(`Rejected ${board} score ${score} from ${name}: ${verificationError}`);
+      return res.status(422).json({ error: 'Score could not be verified', details: verificationError });
+    }
+
     try {
-      const snapshot = await highScoresCollection.orderBy('score', 'desc').get();
-      const highScores = snapshot.docs.map(doc => ({ 
-        id: doc.id,
-        ...doc.data()
-      }));
-      
-      if (highScores.length < 20 || Number(score) > highScores[highScores.length - 1].score) {
-        const docRef = await highScoresCollection.add({ name, score: Number(score) });
-        
-        if (highScores.length >= 20) {
-          const lowestScore = highScores[highScores.length - 1];
-          await highScoresCollection.doc(lowestScore.id).delete();
-        }
-        
-        res.status(201).json({ message: 'Score added successfully', id: docRef.id });
-      } else {
-        res.status(200).json({ message: 'Score not high enough for leaderboard' });
-      }
+      // Every verified score is kept, so it can count for the weekly and monthly
+      // leaderboards and the player's personal best history. What ended the
+      // run comes from the replay, not the client, and is kept for analytics.
+      const newScore = await highScoreStore.insert(board, {
+        name,
+        score: Number(score),
+        createdAt: Date.now(),
+        playerId,
+        cause: finalState.causeOfDeath
+      });
+      res.status(201).json({ message: 'Score added successfully', id: newScore.id });
     } catch (error) {
-      console.error('Error adding score to Firestore:', error.code, error.message);
+      console.error('Error adding score:', error);
+      // The game retries after a server error, with the same token
+      runTokens.release(runToken);
       res.status(500).json({ error: 'Failed to add score', details: error.message });
     }
+  };
+}
+
+app.post('/highscores', limitSubmissions, submitScore(MAIN_BOARD, GameCore.RunMode.CLASSIC));
+app.post('/highscores/marathon', limitSubmissions, submitScore(MARATHON_BOARD, GameCore.RunMode.MARATHON));
+
+// Personal best history of a player: every score that beat their earlier best
+app.get('/highscores/player/:playerId', async (req, res) => {
+  try {
+    const history = personalBestHistory(await highScoreStore.listByPlayer(MAIN_BOARD, req.params.playerId));
+    res.json({
+      playerId: req.params.playerId,
+      best: history.length > 0 ? history[history.length - 1] : null,
+      history
+    });
+  } catch (error) {
+    console.error('Error reading personal bests:', error);
+    res.status(500).json({ error: 'Failed to retrieve personal bests' });
+  }
+});
+
+// Daily challenge leaderboard for a date (defaults to today)
+app.get('/highscores/daily/:date?', async (req, res) => {
+  const date = req.params.date || dailyDateString();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const highScores = await highScoreStore.list(dailyBoard(date), MAX_HIGH_SCORES);
+    res.json(highScores);
+  } catch (error) {
+    console.error('Error reading daily high scores:', error);
+    res.status(500).json({ error: 'Failed to retrieve daily high scores' });
+  }
+});
+
+// Submit the one scored daily challenge attempt of the day
+app.post('/highscores/daily', limitSubmissions, async (req, res) => {
+  const { score, replay, date, runToken } = req.body;
+  const { id: playerId, name } = req.player;
+  if (!score || !date) {
+    return res.status(400).json({ error: 'Score and date are required' });
+  }
+
+  if (!isOpenDailyDate(date)) {
+    return res.status(400).json({ error: 'The daily challenge for this date is closed' });
+  }
+
+  if (!replay || replay.seed !== dailyCourseSeed(date)) {
+    return res.status(422).json({ error: 'Score could not be verified', details: 'Replay is not the daily course' });
+  }
+
+  const { error: verificationError, state: finalState } = verifyScore(Number(score), replay, runToken, GameCore.RunMode.CLASSIC, { daily: date, playerId });
+  if (verificationError) {
+    console.warn(`Rejected daily score ${score} from ${name}: ${verificationError}`);
+    return res.status(422).json({ error: 'Score could not be verified', details: verificationError });
+  }
+
+  try {
+    // Every player gets one scored attempt per day; all attempts are kept
+    // on the daily board so a second attempt can always be detected
+    const board = dailyBoard(date);
+    if (await highScoreStore.findByPlayer(board, playerId)) {
+      return res.status(409).json({ error: 'You have already submitted a daily score today' });
+    }
+
+    const newScore = await highScoreStore.insert(board, {
+      name,
+      score: Number(score),
+      createdAt: Date.now(),
+      playerId,
+      cause: finalState.causeOfDeath
+    });
+    res.status(201).json({ message: 'Daily score added successfully', id: newScore.id });
+  } catch (error) {
+    console.error('Error adding daily score:', error);
+    runTokens.release(runToken);
+    res.status(500).json({ error: 'Failed to add daily score', details: error.message });
   }
 });
 
-app.post('/reset-highscores', (req, res) => {
+app.post('/reset-highscores', async (req, res) => {
   const isLocalhost = req.hostname === 'localhost' || req.hostname === '127.0.0.1';
   
   if (!isLocalhost) {
@@ -200,21 +462,8 @@ app.post('/reset-highscores', (req, res) => {
   }
   
   try {
-    const initialData = [
-      { "name": "Player1", "score": 1005 },
-      { "name": "Player2", "score": 950 },
-      { "name": "Player3", "score": 900 },
-      { "name": "Player4", "score": 850 },
-      { "name": "Player5", "score": 800 }
-    ];
-    
-    const success = writeHighScoresToFile(initialData);
-    
-    if (success) {
-      res.json({ message: 'High scores reset successfully' });
-    } else {
-      res.status(500).json({ error: 'Failed to reset high scores' });
-    }
+    await highScoreStore.reset(MAIN_BOARD, DEFAULT_HIGH_SCORES);
+    res.json({ message: 'High scores reset successfully' });
   } catch (error) {
     console.error('Error resetting high scores:', error);
     res.status(500).json({ error: 'Failed to reset high scores', details: error.message });
@@ -223,5 +472,6 @@ app.post('/reset-highscores', (req, res) => {
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
-  console.log(`Using ${port === 3000 ? 'file-based storage' : 'Firestore'} for high scores`);
-});
\ No newline at end of file
+  console.log(`Using ${highScoreStore.type} storage for high scores`);
+  console.log(`CORS profile ${corsPolicy.profile} allows ${corsPolicy.allowedOrigins.join(', ') || 'no origins'}`);
+});
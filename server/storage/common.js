@@ -0,0 +1,90 @@
+// Helpers shared by the high score storage backends
+
+// Scores a fresh or reset leaderboard starts with
+const DEFAULT_HIGH_SCORES = [
+  { "name": "Player1", "score": 1005 },
+  { "name": "Player2", "score": 950 },
+  { "name": "Player3", "score": 900 },
+  { "name": "Player4", "score": 850 },
+  { "name": "Player5", "score": 800 }
+];
+
+// The all-time leaderboard; other boards (e.g. "daily-2026-10-18") are named by their key
+const MAIN_BOARD = 'main';
+
+// The leaderboard of Marathon runs, where crashes cost health instead of ending the run
+const MARATHON_BOARD = 'marathon';
+
+// Backends that keep the audit log in memory or a JSON file only keep the latest entries
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Score fields an admin can change
+const EDITABLE_SCORE_FIELDS = ['name', 'score', 'hidden'];
+
+// Sort scores from highest to lowest (shared by the backends that sort in memory)
+function sortByScore(entries) {
+  return entries.sort((a, b) => b.score - a.score);
+}
+
+// Sort scores from oldest to newest
+function sortByCreatedAt(entries) {
+  return entries.sort((a, b) => createdAtOf(a) - createdAtOf(b));
+}
+
+// Board an entry belongs to (entries stored before boards existed have none)
+function boardOf(entry) {
+  return entry.board || MAIN_BOARD;
+}
+
+// When an entry was set, in ms since the epoch (0 for entries stored before
+// scores were timestamped, so they only show up on the all-time board)
+function createdAtOf(entry) {
+  return entry.createdAt || 0;
+}
+
+// Whether an entry shows up on leaderboards (admins can hide scores)
+function isVisible(entry) {
+  return !entry.hidden;
+}
+
+// The admin-editable fields present in `changes`
+function pickScoreChanges(changes) {
+  const picked = {};
+  EDITABLE_SCORE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) picked[field] = changes[field];
+  });
+  return picked;
+}
+
+// Sort entries for the admin console: best scores first, or newest first
+function sortForAdmin(entries, sort) {
+  return sort === 'score' ? sortByScore(entries) : sortByCreatedAt(entries).reverse();
+}
+
+// Public form of a stored entry
+function toPublicEntry(entry) {
+  return { id: entry.id, name: entry.name, score: entry.score, createdAt: entry.createdAt, playerId: entry.playerId };
+}
+
+// Form of a stored entry shown in the admin console, with what ended the run
+// (a GameCore.DeathCause; null for scores stored before it was recorded)
+function toAdminEntry(entry) {
+  return { ...toPublicEntry(entry), hidden: Boolean(entry.hidden), cause: entry.cause || null };
+}
+
+module.exports = {
+  DEFAULT_HIGH_SCORES,
+  MAIN_BOARD,
+  MARATHON_BOARD,
+  MAX_AUDIT_ENTRIES,
+  EDITABLE_SCORE_FIELDS,
+  sortByScore,
+  sortByCreatedAt,
+  boardOf,
+  createdAtOf,
+  isVisible,
+  pickScoreChanges,
+  sortForAdmin,
+  toPublicEntry,
+  toAdminEntry
+};
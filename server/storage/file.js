@@ -0,0 +1,309 @@
+// JSON file high score storage, the default for local development.
+//
+// Writes are serialized through a queue so concurrent requests can't lose
+// each other's scores, and each write goes to a temporary file that is then
+// renamed over the real one, so a crash never leaves a truncated file. The
+// previous version is kept as a .bak file to recover from corruption.
+// Player accounts, the audit log and the word lists are kept the same way in
+// their own files.
+const fs = require('fs');
+const {
+  DEFAULT_HIGH_SCORES,
+  MAIN_BOARD,
+  MAX_AUDIT_ENTRIES,
+  sortByScore,
+  sortByCreatedAt,
+  boardOf,
+  createdAtOf,
+  isVisible,
+  pickScoreChanges,
+  sortForAdmin,
+  toPublicEntry,
+  toAdminEntry
+} = require('./common');
+
+// A JSON file holding a list, written atomically and recovered from its
+// backup if it is found corrupted. `isValidEntry` checks each list entry.
+function createJsonListFile(filePath, { initial, isValidEntry, description }) {
+  const backupPath = `${filePath}.bak`;
+  const tempPath = `${filePath}.tmp`;
+
+  // Initialize the file if it doesn't exist
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(tempPath, JSON.stringify(initial, null, 2));
+    fs.renameSync(tempPath, filePath);
+    console.log(`Created initial ${description} file`);
+  }
+
+  // Parse the file, throwing if it is not a valid list
+  async function readListFile(pathToRead) {
+    const data = await fs.promises.readFile(pathToRead, 'utf8');
+    const entries = JSON.parse(data);
+
+    if (!Array.isArray(entries) || !entries.every(entry => entry && isValidEntry(entry))) {
+      throw new Error(`${pathToRead} does not contain a list of ${description}`);
+    }
+
+    return entries;
+  }
+
+  // Atomically replace the file, keeping the old one as a backup
+  async function write(entries) {
+    await fs.promises.writeFile(tempPath, JSON.stringify(entries, null, 2));
+    if (fs.existsSync(filePath)) {
+      await fs.promises.copyFile(filePath, backupPath);
+    }
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Read the list, recovering from the backup if the file is corrupted.
+  // Throws rather than returning an empty list, so a bad read can never be
+  // written back and wipe the data.
+  async function read() {
+    try {
+      return await readListFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' && !fs.existsSync(backupPath)) {
+        return [];
+      }
+      console.error(`Error reading ${description} file:`, error.message);
+    }
+
+    // Move the corrupted file aside so it can be inspected later
+    if (fs.existsSync(filePath)) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.promises.rename(filePath, corruptPath);
+      console.error(`Moved corrupted ${description} file to ${corruptPath}`);
+    }
+
+    const entries = await readListFile(backupPath);
+    await write(entries);
+    console.log(`Recovered ${description} from backup`);
+    return entries;
+  }
+
+  return { read, write };
+}
+
+function createFileStore(options) {
+  const scoresFile = createJsonListFile(options.filePath, {
+    initial: DEFAULT_HIGH_SCORES,
+    isValidEntry: entry => typeof entry.name === 'string' && typeof entry.score === 'number',
+    description: 'high scores'
+  });
+  const playersFile = createJsonListFile(options.playersPath, {
+    initial: [],
+    isValidEntry: entry => typeof entry.id === 'string' && typeof entry.tokenHash === 'string',
+    description: 'players'
+  });
+  const auditFile = createJsonListFile(options.auditPath, {
+    initial: [],
+    isValidEntry: entry => typeof entry.createdAt === 'number',
+    description: 'audit log'
+  });
+  const wordListsFile = createJsonListFile(options.wordListsPath, {
+    initial: [],
+    isValidEntry: entry => typeof entry.name === 'string' && Array.isArray(entry.words),
+    description: 'word lists'
+  });
+
+  // Tail of the file operation queue; each operation waits for the previous one
+  let fileQueue = Promise.resolve();
+  let lastId = 0;
+
+  // Run a file operation after all earlier ones have finished
+  function runQueued(task) {
+    const result = fileQueue.then(task);
+    fileQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Split the scores into this board's entries and everyone else's
+  function partition(highScores, board) {
+    return {
+      onBoard: highScores.filter(entry => boardOf(entry) === board),
+      others: highScores.filter(entry => boardOf(entry) !== board)
+    };
+  }
+
+  // Entries on the main board are stored without a board field, like before boards existed
+  function withBoard(entry, board) {
+    return board === MAIN_BOARD ? { ...entry } : { ...entry, board };
+  }
+
+  // Timestamp ids, bumped so ids created in the same millisecond stay unique
+  function nextId() {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId.toString();
+  }
+
+  // Change the entry with this id on a board and save, resolving to the
+  // changed entry (or null if there is none)
+  function updateEntry(board, id, change) {
+    return runQueued(async () => {
+      const highScores = await scoresFile.read();
+      const entry = highScores.find(entry => boardOf(entry) === board && entry.id === id);
+      if (!entry) return null;
+      change(entry);
+      await scoresFile.write(sortByScore(highScores));
+      return entry;
+    });
+  }
+
+  // Scores written by older versions (and the defaults) have no id, so
+  // admins couldn't address them; give them one
+  runQueued(async () => {
+    const highScores = await scoresFile.read();
+    if (highScores.some(entry => !entry.id)) {
+      highScores.forEach(entry => {
+        entry.id = entry.id || nextId();
+      });
+      await scoresFile.write(highScores);
+    }
+  }).catch(error => console.error('Error adding ids to high scores:', error));
+
+  return {
+    type: 'file',
+
+    async list(board, limit, since = 0) {
+      // Reads are queued too: they wait for pending writes, and recovering
+      // from a corrupted file writes the backup back
+      const highScores = await runQueued(scoresFile.read);
+      const entries = partition(highScores, board).onBoard.filter(entry => isVisible(entry) && createdAtOf(entry) >= since);
+      return sortByScore(entries).slice(0, limit).map(toPublicEntry);
+    },
+
+    insert(board, entry) {
+      return runQueued(async () => {
+        const highScores = await scoresFile.read();
+        const newScore = withBoard({ ...entry, id: nextId() }, board);
+        highScores.push(newScore);
+        await scoresFile.write(sortByScore(highScores));
+        return toPublicEntry(newScore);
+      });
+    },
+
+    async findByPlayer(board, playerId) {
+      const highScores = await runQueued(scoresFile.read);
+      const entry = partition(highScores, board).onBoard.find(entry => entry.playerId === playerId);
+      return entry ? toPublicEntry(entry) : null;
+    },
+
+    async listByPlayer(board, playerId) {
+      const highScores = await runQueued(scoresFile.read);
+      const entries = partition(highScores, board).onBoard.filter(entry => isVisible(entry) && entry.playerId === playerId);
+      return sortByCreatedAt(entries).map(toPublicEntry);
+    },
+
+    trim(board, maxEntries) {
+      return runQueued(async () => {
+        const { onBoard, others } = partition(await scoresFile.read(), board);
+        await scoresFile.write(sortByScore(others.concat(sortByScore(onBoard).slice(0, maxEntries))));
+      });
+    },
+
+    reset(board, entries) {
+      return runQueued(async () => {
+        const { others } = partition(await scoresFile.read(), board);
+        const newEntries = entries.map(entry => withBoard({ ...entry, id: nextId() }, board));
+        await scoresFile.write(sortByScore(others.concat(newEntries)));
+      });
+    },
+
+    async listAll(board, { sort, limit, offset }) {
+      const highScores = await runQueued(scoresFile.read);
+      return sortForAdmin(partition(highScores, board).onBoard, sort).slice(offset, offset + limit).map(toAdminEntry);
+    },
+
+    async updateScore(board, id, changes) {
+      const entry = await updateEntry(board, id, entry => Object.assign(entry, pickScoreChanges(changes)));
+      return entry ? toAdminEntry(entry) : null;
+    },
+
+    deleteScore(board, id) {
+      return runQueued(async () => {
+        const highScores = await scoresFile.read();
+        const remaining = highScores.filter(entry => boardOf(entry) !== board || entry.id !== id);
+        if (remaining.length === highScores.length) return false;
+        await scoresFile.write(remaining);
+        return true;
+      });
+    },
+
+    createPlayer(player) {
+      return runQueued(async () => {
+        const players = await playersFile.read();
+        players.push({ ...player, name: null, nameKey: null });
+        await playersFile.write(players);
+      });
+    },
+
+    async findPlayer(id) {
+      const players = await runQueued(playersFile.read);
+      return players.find(player => player.id === id) || null;
+    },
+
+    claimPlayerName(id, name, key) {
+      return runQueued(async () => {
+        const players = await playersFile.read();
+        if (players.some(player => player.nameKey === key && player.id !== id)) {
+          return false;
+        }
+        Object.assign(players.find(player => player.id === id), { name, nameKey: key });
+        await playersFile.write(players);
+        return true;
+      });
+    },
+
+    setPlayerBanned(id, banned) {
+      return runQueued(async () => {
+        const players = await playersFile.read();
+        const player = players.find(player => player.id === id);
+        if (!player) return null;
+        player.banned = banned;
+        await playersFile.write(players);
+        return player;
+      });
+    },
+
+    startDailyRun(id, date) {
+      return runQueued(async () => {
+        const players = await playersFile.read();
+        const player = players.find(player => player.id === id);
+        if (!player || player.dailyRunDate === date) return false;
+        player.dailyRunDate = date;
+        await playersFile.write(players);
+        return true;
+      });
+    },
+
+    appendAudit(entry) {
+      return runQueued(async () => {
+        const auditLog = await auditFile.read();
+        auditLog.push(entry);
+        await auditFile.write(auditLog.slice(-MAX_AUDIT_ENTRIES));
+      });
+    },
+
+    async listAudit(limit) {
+      const auditLog = await runQueued(auditFile.read);
+      return auditLog.slice(-limit).reverse();
+    },
+
+    listWordLists() {
+      return runQueued(wordListsFile.read);
+    },
+
+    saveWordList(name, words) {
+      return runQueued(async () => {
+        const wordLists = await wordListsFile.read();
+        const previous = wordLists.find(list => list.name === name);
+        const list = { name, words, version: previous ? previous.version + 1 : 1, updatedAt: Date.now() };
+        await wordListsFile.write(wordLists.filter(other => other !== previous).concat(list));
+        return list;
+      });
+    }
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,206 @@
+// Google Firestore high score storage, used in production on App Engine.
+// The main board lives in the "highscores" collection and every other board
+// gets its own collection. Period leaderboards filter on createdAt and sort
+// by score, which needs the composite index in firestore.indexes.json on the
+// collections they are read from. A player's scores are few, so those are
+// filtered in Firestore and sorted here.
+// Players live in the "players" collection, and each claimed name has a
+// document in "player_names" so a name can only be reserved once. Admin
+// actions and score submissions are logged in "audit_log", and the name
+// moderation word lists are kept in "word_lists", one document per list.
+//
+// Scores stored before admins could hide them have no hidden field, and
+// Firestore queries can't match a missing field, so hidden scores are
+// filtered out here as well.
+const { Firestore } = require('@google-cloud/firestore');
+const { MAIN_BOARD, sortByCreatedAt, isVisible, pickScoreChanges } = require('./common');
+
+const MAX_BATCH_WRITES = 500;
+
+function createFirestoreStore(options = {}) {
+  const firestore = new Firestore({
+    databaseId: options.databaseId || 'highscores'
+  });
+
+  const collectionFor = board => firestore.collection(board === MAIN_BOARD ? 'highscores' : `highscores_${board}`);
+  const players = firestore.collection('players');
+  const playerNames = firestore.collection('player_names');
+  const auditLog = firestore.collection('audit_log');
+  const wordLists = firestore.collection('word_lists');
+  // Document ids can't contain slashes or be "." or "..", so name keys are encoded
+  const playerNameDoc = key => playerNames.doc(`name-${encodeURIComponent(key)}`);
+
+  const toEntry = doc => ({
+    id: doc.id,
+    name: doc.get('name'),
+    score: doc.get('score'),
+    createdAt: doc.get('createdAt'),
+    playerId: doc.get('playerId')
+  });
+  const toAdminEntry = doc => ({ ...toEntry(doc), hidden: Boolean(doc.get('hidden')), cause: doc.get('cause') || null });
+  const isVisibleDoc = doc => isVisible(doc.data());
+
+  // The first `limit` visible scores of a query, paging past hidden ones
+  async function firstVisible(query, limit) {
+    const entries = [];
+    let page = query.limit(limit);
+    for (;;) {
+      const snapshot = await page.get();
+      entries.push(...snapshot.docs.filter(isVisibleDoc).map(toEntry));
+      if (entries.length >= limit || snapshot.size < limit) {
+        return entries.slice(0, limit);
+      }
+      page = query.startAfter(snapshot.docs[snapshot.size - 1]).limit(limit);
+    }
+  }
+
+  // Leave out fields the entry doesn't have; Firestore refuses undefined values
+  const toDoc = entry => {
+    const doc = { name: entry.name, score: entry.score };
+    if (entry.createdAt) doc.createdAt = entry.createdAt;
+    if (entry.playerId) doc.playerId = entry.playerId;
+    if (entry.cause) doc.cause = entry.cause;
+    return doc;
+  };
+
+  return {
+    type: 'firestore',
+
+    async list(board, limit, since = 0) {
+      const byScore = collectionFor(board).orderBy('score', 'desc');
+      return firstVisible(since ? byScore.where('createdAt', '>=', since) : byScore, limit);
+    },
+
+    async insert(board, entry) {
+      const docRef = await collectionFor(board).add(toDoc(entry));
+      return { id: docRef.id, name: entry.name, score: entry.score, createdAt: entry.createdAt, playerId: entry.playerId };
+    },
+
+    async findByPlayer(board, playerId) {
+      const snapshot = await collectionFor(board).where('playerId', '==', playerId).limit(1).get();
+      return snapshot.empty ? null : toEntry(snapshot.docs[0]);
+    },
+
+    async listByPlayer(board, playerId) {
+      const snapshot = await collectionFor(board).where('playerId', '==', playerId).get();
+      return sortByCreatedAt(snapshot.docs.filter(isVisibleDoc).map(toEntry));
+    },
+
+    async trim(board, maxEntries) {
+      const snapshot = await collectionFor(board).orderBy('score', 'desc').offset(maxEntries).get();
+      await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+    },
+
+    // A batch takes at most MAX_BATCH_WRITES writes, so a full board is
+    // cleared over several
+    async reset(board, entries) {
+      const collection = collectionFor(board);
+      const snapshot = await collection.get();
+      const writes = snapshot.docs.map(doc => batch => batch.delete(doc.ref))
+        .concat(entries.map(entry => batch => batch.set(collection.doc(), toDoc(entry))));
+      for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = firestore.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+        await batch.commit();
+      }
+    },
+
+    // Sorting by time leaves out scores stored before they were timestamped;
+    // sorting by score shows them
+    async listAll(board, { sort, limit, offset }) {
+      const field = sort === 'score' ? 'score' : 'createdAt';
+      const snapshot = await collectionFor(board).orderBy(field, 'desc').offset(offset).limit(limit).get();
+      return snapshot.docs.map(toAdminEntry);
+    },
+
+    async updateScore(board, id, changes) {
+      const docRef = collectionFor(board).doc(id);
+      const doc = await docRef.get();
+      if (!doc.exists) return null;
+      await docRef.update(pickScoreChanges(changes));
+      return toAdminEntry(await docRef.get());
+    },
+
+    async deleteScore(board, id) {
+      const docRef = collectionFor(board).doc(id);
+      const doc = await docRef.get();
+      if (!doc.exists) return false;
+      await docRef.delete();
+      return true;
+    },
+
+    async createPlayer(player) {
+      await players.doc(player.id).set({ tokenHash: player.tokenHash, name: null, nameKey: null, createdAt: player.createdAt });
+    },
+
+    async findPlayer(id) {
+      const doc = await players.doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    },
+
+    claimPlayerName(id, name, key) {
+      return firestore.runTransaction(async transaction => {
+        const playerRef = players.doc(id);
+        const nameRef = playerNameDoc(key);
+        const [playerDoc, nameDoc] = await transaction.getAll(playerRef, nameRef);
+
+        if (nameDoc.exists && nameDoc.get('playerId') !== id) {
+          return false;
+        }
+
+        const oldKey = playerDoc.get('nameKey');
+        if (oldKey && oldKey !== key) {
+          transaction.delete(playerNameDoc(oldKey));
+        }
+        transaction.set(nameRef, { playerId: id });
+        transaction.update(playerRef, { name, nameKey: key });
+        return true;
+      });
+    },
+
+    async setPlayerBanned(id, banned) {
+      const playerRef = players.doc(id);
+      const doc = await playerRef.get();
+      if (!doc.exists) return null;
+      await playerRef.update({ banned });
+      return { id: doc.id, ...doc.data(), banned };
+    },
+
+    startDailyRun(id, date) {
+      return firestore.runTransaction(async transaction => {
+        const playerRef = players.doc(id);
+        const playerDoc = await transaction.get(playerRef);
+        if (!playerDoc.exists || playerDoc.get('dailyRunDate') === date) return false;
+        transaction.update(playerRef, { dailyRunDate: date });
+        return true;
+      });
+    },
+
+    async appendAudit(entry) {
+      // Drop undefined fields, which Firestore refuses
+      await auditLog.add(JSON.parse(JSON.stringify(entry)));
+    },
+
+    async listAudit(limit) {
+      const snapshot = await auditLog.orderBy('createdAt', 'desc').limit(limit).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async listWordLists() {
+      const snapshot = await wordLists.get();
+      return snapshot.docs.map(doc => ({ name: doc.id, ...doc.data() }));
+    },
+
+    saveWordList(name, words) {
+      return firestore.runTransaction(async transaction => {
+        const listRef = wordLists.doc(name);
+        const doc = await transaction.get(listRef);
+        const list = { words, version: doc.exists ? doc.get('version') + 1 : 1, updatedAt: Date.now() };
+        transaction.set(listRef, list);
+        return { name, ...list };
+      });
+    }
+  };
+}
+
+module.exports = { createFirestoreStore };
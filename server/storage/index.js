@@ -0,0 +1,93 @@
+// High score storage backends.
+//
+// Scores are kept on separate boards: MAIN_BOARD for the all-time
+// leaderboard, MARATHON_BOARD for Marathon runs and one board per day for
+// the daily challenge. Every score is kept with the time it was set
+// (createdAt, ms since the epoch), so weekly and monthly leaderboards and
+// personal best histories can be built from the same data.
+// Every backend implements the same async interface:
+//   list(board, limit, since)       - scores set at or after `since` (default 0), sorted from
+//                                     highest to lowest, at most `limit` of them
+//   insert(board, entry)            - store { name, score, createdAt, playerId, cause } and
+//                                     resolve to the stored entry (with id)
+//   findByPlayer(board, playerId)   - an entry of this player, or null
+//   listByPlayer(board, playerId)   - all entries of this player, oldest first
+//   trim(board, maxEntries)         - delete everything below the top `maxEntries` scores
+//   reset(board, entries)           - replace all scores on the board with `entries`
+//
+// and stores player accounts (see ../players.js):
+//   createPlayer(player)            - store { id, tokenHash, createdAt }
+//   findPlayer(id)                  - the player with this id, or null
+//   claimPlayerName(id, name, key)  - give the player this name, reserved under `key`, releasing
+//                                     their old one; resolves to false if another player has it
+//   setPlayerBanned(id, banned)     - ban or unban a player, resolving to the player (or null)
+//   startDailyRun(id, date)         - record that the player started their scored daily run for
+//                                     `date`; resolves to false if they already had
+//
+// and what the admin console needs (see ../admin.js):
+//   listAll(board, { sort, limit, offset }) - all scores on the board, hidden ones too, sorted
+//                                     by 'score' or newest first ('recent'), with their cause
+//   updateScore(board, id, changes) - change a score's name, score or hidden flag, resolving
+//                                     to the changed entry (or null)
+//   deleteScore(board, id)          - delete a score, resolving to whether it existed
+//   appendAudit(entry)              - add an entry to the audit log
+//   listAudit(limit)                - the latest audit log entries, newest first
+//
+// and the name moderation word lists (see ../wordLists.js):
+//   listWordLists()                 - every list, as { name, words, version, updatedAt }
+//   saveWordList(name, words)       - replace or create a list, bumping its version (the first
+//                                     version is 1), and resolve to the saved list
+//
+// Hidden scores are left out of list() and listByPlayer(), but still count
+// for findByPlayer() so a hidden daily score can't be resubmitted.
+//
+// The backend is picked by configuration (HIGHSCORE_STORE), not by who is calling.
+
+const path = require('path');
+const { DEFAULT_HIGH_SCORES, MAIN_BOARD, MARATHON_BOARD } = require('./common');
+
+// Create the storage backend named by `type`
+function createStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return require('./memory').createMemoryStore(options);
+    case 'file':
+      return require('./file').createFileStore({
+        ...options,
+        filePath: options.filePath || path.join(__dirname, '..', 'highscores.json'),
+        playersPath: options.playersPath || path.join(__dirname, '..', 'players.json'),
+        auditPath: options.auditPath || path.join(__dirname, '..', 'audit.json'),
+        wordListsPath: options.wordListsPath || path.join(__dirname, '..', 'wordlists.json')
+      });
+    case 'sqlite':
+      return require('./sqlite').createSqliteStore({
+        ...options,
+        dbPath: options.dbPath || path.join(__dirname, '..', 'highscores.db')
+      });
+    case 'firestore':
+      return require('./firestore').createFirestoreStore(options);
+    default:
+      throw new Error(`Unknown high score store: ${type}`);
+  }
+}
+
+// Create the backend configured through environment variables
+function createStoreFromEnv(env = process.env) {
+  const type = env.HIGHSCORE_STORE || 'file';
+  return createStore(type, {
+    filePath: env.HIGHSCORE_FILE_PATH,
+    playersPath: env.HIGHSCORE_PLAYERS_PATH,
+    auditPath: env.HIGHSCORE_AUDIT_PATH,
+    wordListsPath: env.HIGHSCORE_WORDLISTS_PATH,
+    dbPath: env.HIGHSCORE_SQLITE_PATH,
+    databaseId: env.HIGHSCORE_FIRESTORE_DATABASE
+  });
+}
+
+module.exports = {
+  DEFAULT_HIGH_SCORES,
+  MAIN_BOARD,
+  MARATHON_BOARD,
+  createStore,
+  createStoreFromEnv
+};
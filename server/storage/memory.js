@@ -0,0 +1,130 @@
+// In-memory high score storage, for tests and throwaway servers
+const {
+  MAX_AUDIT_ENTRIES,
+  sortByScore,
+  sortByCreatedAt,
+  boardOf,
+  createdAtOf,
+  isVisible,
+  pickScoreChanges,
+  sortForAdmin,
+  toPublicEntry,
+  toAdminEntry
+} = require('./common');
+
+function createMemoryStore(options = {}) {
+  let nextId = 1;
+  let highScores = (options.initialData || []).map(entry => ({ id: String(nextId++), ...entry }));
+  const players = new Map();
+  let auditLog = [];
+  const wordLists = new Map();
+
+  const onBoard = board => highScores.filter(entry => boardOf(entry) === board);
+  const findEntry = (board, id) => onBoard(board).find(entry => entry.id === id);
+
+  return {
+    type: 'memory',
+
+    async list(board, limit, since = 0) {
+      const entries = onBoard(board).filter(entry => isVisible(entry) && createdAtOf(entry) >= since);
+      return sortByScore(entries).slice(0, limit).map(toPublicEntry);
+    },
+
+    async insert(board, entry) {
+      const newScore = { ...entry, board, id: String(nextId++) };
+      highScores.push(newScore);
+      return toPublicEntry(newScore);
+    },
+
+    async findByPlayer(board, playerId) {
+      const entry = onBoard(board).find(entry => entry.playerId === playerId);
+      return entry ? toPublicEntry(entry) : null;
+    },
+
+    async listByPlayer(board, playerId) {
+      const entries = onBoard(board).filter(entry => isVisible(entry) && entry.playerId === playerId);
+      return sortByCreatedAt(entries).map(toPublicEntry);
+    },
+
+    async trim(board, maxEntries) {
+      const kept = sortByScore(onBoard(board)).slice(0, maxEntries);
+      highScores = highScores.filter(entry => boardOf(entry) !== board || kept.includes(entry));
+    },
+
+    async reset(board, entries) {
+      highScores = highScores
+        .filter(entry => boardOf(entry) !== board)
+        .concat(entries.map(entry => ({ ...entry, board, id: String(nextId++) })));
+    },
+
+    async listAll(board, { sort, limit, offset }) {
+      return sortForAdmin(onBoard(board), sort).slice(offset, offset + limit).map(toAdminEntry);
+    },
+
+    async updateScore(board, id, changes) {
+      const entry = findEntry(board, id);
+      if (!entry) return null;
+      Object.assign(entry, pickScoreChanges(changes));
+      return toAdminEntry(entry);
+    },
+
+    async deleteScore(board, id) {
+      const entry = findEntry(board, id);
+      highScores = highScores.filter(other => other !== entry);
+      return Boolean(entry);
+    },
+
+    async createPlayer(player) {
+      players.set(player.id, { ...player, name: null, nameKey: null });
+    },
+
+    async findPlayer(id) {
+      const player = players.get(id);
+      return player ? { ...player } : null;
+    },
+
+    async claimPlayerName(id, name, key) {
+      for (const player of players.values()) {
+        if (player.nameKey === key && player.id !== id) return false;
+      }
+      Object.assign(players.get(id), { name, nameKey: key });
+      return true;
+    },
+
+    async setPlayerBanned(id, banned) {
+      const player = players.get(id);
+      if (!player) return null;
+      player.banned = banned;
+      return { ...player };
+    },
+
+    async startDailyRun(id, date) {
+      const player = players.get(id);
+      if (!player || player.dailyRunDate === date) return false;
+      player.dailyRunDate = date;
+      return true;
+    },
+
+    async appendAudit(entry) {
+      auditLog.push(entry);
+      auditLog = auditLog.slice(-MAX_AUDIT_ENTRIES);
+    },
+
+    async listAudit(limit) {
+      return auditLog.slice(-limit).reverse();
+    },
+
+    async listWordLists() {
+      return Array.from(wordLists.values(), list => ({ ...list }));
+    },
+
+    async saveWordList(name, words) {
+      const previous = wordLists.get(name);
+      const list = { name, words, version: previous ? previous.version + 1 : 1, updatedAt: Date.now() };
+      wordLists.set(name, list);
+      return { ...list };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,275 @@
+// SQLite high score storage, for self-hosting without Google Cloud.
+// Needs the optional better-sqlite3 dependency.
+const Database = require('better-sqlite3');
+const { MAIN_BOARD, EDITABLE_SCORE_FIELDS } = require('./common');
+
+function createSqliteStore(options) {
+  const db = new Database(options.dbPath);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS highscores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      score INTEGER NOT NULL
+    )
+  `);
+
+  // Databases created before leaderboards were split into boards lack the column
+  const columns = db.prepare('PRAGMA table_info(highscores)').all().map(column => column.name);
+  if (!columns.includes('board')) {
+    db.exec(`ALTER TABLE highscores ADD COLUMN board TEXT NOT NULL DEFAULT '${MAIN_BOARD}'`);
+  }
+  // ...and scores stored before they were timestamped get 0, like in the other backends
+  if (!columns.includes('created_at')) {
+    db.exec('ALTER TABLE highscores ADD COLUMN created_at INTEGER NOT NULL DEFAULT 0');
+  }
+  // ...and scores stored before player accounts have no player
+  if (!columns.includes('player_id')) {
+    db.exec('ALTER TABLE highscores ADD COLUMN player_id TEXT');
+  }
+  // ...and scores stored before admins could hide them are visible
+  if (!columns.includes('hidden')) {
+    db.exec('ALTER TABLE highscores ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0');
+  }
+  // ...and scores stored before the cause of death was recorded have none
+  if (!columns.includes('cause')) {
+    db.exec('ALTER TABLE highscores ADD COLUMN cause TEXT');
+  }
+  // Personal bests are looked up by player now, not by name
+  db.exec('DROP INDEX IF EXISTS highscores_board_name');
+  db.exec('CREATE INDEX IF NOT EXISTS highscores_board_score ON highscores (board, score DESC)');
+  db.exec('CREATE INDEX IF NOT EXISTS highscores_board_player ON highscores (board, player_id)');
+
+  // Reserved names are unique, which makes claiming one atomic
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL,
+      name TEXT,
+      name_key TEXT UNIQUE,
+      created_at INTEGER NOT NULL,
+      daily_run_date TEXT
+    )
+  `);
+  if (!db.prepare('PRAGMA table_info(players)').all().some(column => column.name === 'banned')) {
+    db.exec('ALTER TABLE players ADD COLUMN banned INTEGER NOT NULL DEFAULT 0');
+  }
+
+  // Audit log entries are free-form, so they are stored as JSON
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at INTEGER NOT NULL,
+      entry TEXT NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS word_lists (
+      name TEXT PRIMARY KEY,
+      words TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  const listStatement = db.prepare(`
+    SELECT id, name, score, created_at, player_id FROM highscores
+    WHERE board = ? AND created_at >= ? AND hidden = 0 ORDER BY score DESC, id ASC LIMIT ?
+  `);
+  const insertStatement = db.prepare(`
+    INSERT INTO highscores (board, name, score, created_at, player_id, cause)
+    VALUES (@board, @name, @score, @createdAt, @playerId, @cause)
+  `);
+  const findByPlayerStatement = db.prepare(`
+    SELECT id, name, score, created_at, player_id FROM highscores WHERE board = ? AND player_id = ? LIMIT 1
+  `);
+  const listByPlayerStatement = db.prepare(`
+    SELECT id, name, score, created_at, player_id FROM highscores
+    WHERE board = ? AND player_id = ? AND hidden = 0 ORDER BY created_at ASC, id ASC
+  `);
+  const listAllStatements = {
+    score: db.prepare(`
+      SELECT * FROM highscores WHERE board = ? ORDER BY score DESC, id ASC LIMIT ? OFFSET ?
+    `),
+    recent: db.prepare(`
+      SELECT * FROM highscores WHERE board = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+    `)
+  };
+  const findScoreStatement = db.prepare('SELECT * FROM highscores WHERE board = ? AND id = ?');
+  const deleteScoreStatement = db.prepare('DELETE FROM highscores WHERE board = ? AND id = ?');
+  const createPlayerStatement = db.prepare(`
+    INSERT INTO players (id, token_hash, created_at) VALUES (@id, @tokenHash, @createdAt)
+  `);
+  const findPlayerStatement = db.prepare('SELECT * FROM players WHERE id = ?');
+  const claimNameStatement = db.prepare('UPDATE players SET name = ?, name_key = ? WHERE id = ?');
+  const banPlayerStatement = db.prepare('UPDATE players SET banned = ? WHERE id = ?');
+  const startDailyRunStatement = db.prepare(`
+    UPDATE players SET daily_run_date = ?
+    WHERE id = ? AND (daily_run_date IS NULL OR daily_run_date <> ?)
+  `);
+  const appendAuditStatement = db.prepare('INSERT INTO audit_log (created_at, entry) VALUES (?, ?)');
+  const listAuditStatement = db.prepare('SELECT entry FROM audit_log ORDER BY id DESC LIMIT ?');
+  const listWordListsStatement = db.prepare('SELECT * FROM word_lists');
+  const findWordListStatement = db.prepare('SELECT * FROM word_lists WHERE name = ?');
+  const saveWordListStatement = db.prepare(`
+    INSERT INTO word_lists (name, words, version, updated_at) VALUES (@name, @words, 1, @updatedAt)
+    ON CONFLICT (name) DO UPDATE SET words = excluded.words, version = version + 1, updated_at = excluded.updated_at
+  `);
+  const trimStatement = db.prepare(`
+    DELETE FROM highscores WHERE board = @board AND id NOT IN (
+      SELECT id FROM highscores WHERE board = @board ORDER BY score DESC, id ASC LIMIT @maxEntries
+    )
+  `);
+  const clearStatement = db.prepare('DELETE FROM highscores WHERE board = ?');
+
+  const resetTransaction = db.transaction((board, entries) => {
+    clearStatement.run(board);
+    entries.forEach(entry => insertStatement.run(toRow(board, entry)));
+  });
+
+  const toRow = (board, entry) => ({
+    board,
+    name: entry.name,
+    score: entry.score,
+    createdAt: entry.createdAt || 0,
+    playerId: entry.playerId || null,
+    cause: entry.cause || null
+  });
+
+  // Rows come back with numeric ids; the API uses string ids everywhere
+  const toEntry = row => ({
+    id: String(row.id),
+    name: row.name,
+    score: row.score,
+    createdAt: row.created_at || undefined,
+    playerId: row.player_id || undefined
+  });
+
+  const toAdminEntry = row => ({ ...toEntry(row), hidden: Boolean(row.hidden), cause: row.cause || null });
+
+  const toPlayer = row => ({
+    id: row.id,
+    tokenHash: row.token_hash,
+    name: row.name,
+    nameKey: row.name_key,
+    createdAt: row.created_at,
+    banned: Boolean(row.banned)
+  });
+
+  const toWordList = row => ({
+    name: row.name,
+    words: JSON.parse(row.words),
+    version: row.version,
+    updatedAt: row.updated_at
+  });
+
+  // Column names are picked from a fixed list, so building the statement is safe
+  const updateScoreTransaction = db.transaction((board, id, changes) => {
+    const fields = EDITABLE_SCORE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      const values = fields.map(field => (field === 'hidden' ? Number(Boolean(changes[field])) : changes[field]));
+      db.prepare(`UPDATE highscores SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE board = ? AND id = ?`)
+        .run(...values, board, id);
+    }
+    return findScoreStatement.get(board, id);
+  });
+
+  return {
+    type: 'sqlite',
+
+    async list(board, limit, since = 0) {
+      return listStatement.all(board, since, limit).map(toEntry);
+    },
+
+    async insert(board, entry) {
+      const result = insertStatement.run(toRow(board, entry));
+      return {
+        id: String(result.lastInsertRowid),
+        name: entry.name,
+        score: entry.score,
+        createdAt: entry.createdAt,
+        playerId: entry.playerId
+      };
+    },
+
+    async findByPlayer(board, playerId) {
+      const row = findByPlayerStatement.get(board, playerId);
+      return row ? toEntry(row) : null;
+    },
+
+    async listByPlayer(board, playerId) {
+      return listByPlayerStatement.all(board, playerId).map(toEntry);
+    },
+
+    async trim(board, maxEntries) {
+      trimStatement.run({ board, maxEntries });
+    },
+
+    async reset(board, entries) {
+      resetTransaction(board, entries);
+    },
+
+    async listAll(board, { sort, limit, offset }) {
+      const statement = sort === 'score' ? listAllStatements.score : listAllStatements.recent;
+      return statement.all(board, limit, offset).map(toAdminEntry);
+    },
+
+    async updateScore(board, id, changes) {
+      const row = updateScoreTransaction(board, id, changes);
+      return row ? toAdminEntry(row) : null;
+    },
+
+    async deleteScore(board, id) {
+      return deleteScoreStatement.run(board, id).changes > 0;
+    },
+
+    async createPlayer(player) {
+      createPlayerStatement.run(player);
+    },
+
+    async findPlayer(id) {
+      const row = findPlayerStatement.get(id);
+      return row ? toPlayer(row) : null;
+    },
+
+    async claimPlayerName(id, name, key) {
+      try {
+        claimNameStatement.run(name, key, id);
+        return true;
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') return false;
+        throw error;
+      }
+    },
+
+    async setPlayerBanned(id, banned) {
+      banPlayerStatement.run(Number(banned), id);
+      const row = findPlayerStatement.get(id);
+      return row ? toPlayer(row) : null;
+    },
+
+    async startDailyRun(id, date) {
+      return startDailyRunStatement.run(date, id, date).changes === 1;
+    },
+
+    async appendAudit(entry) {
+      appendAuditStatement.run(entry.createdAt, JSON.stringify(entry));
+    },
+
+    async listAudit(limit) {
+      return listAuditStatement.all(limit).map(row => JSON.parse(row.entry));
+    },
+
+    async listWordLists() {
+      return listWordListsStatement.all().map(toWordList);
+    },
+
+    async saveWordList(name, words) {
+      saveWordListStatement.run({ name, words: JSON.stringify(words), updatedAt: Date.now() });
+      return toWordList(findWordListStatement.get(name));
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,161 @@
+// Word lists for name moderation.
+//
+// The lists are kept in the high score store, so admins can edit them and
+// every server instance uses the same ones. There is a list of blocked
+// words per locale ("en", "no", ...), plus the allowlist ("allow") and the
+// names banned by admins ("banned-names"). Every change bumps the list's
+// version, and the lists served to the game carry an ETag built from the
+// versions, so the game only downloads them again when they have changed.
+//
+// The files in badwords/ seed the store the first time the server starts,
+// and are used until the store has been read.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createNameModerator } = require('./moderation');
+
+const SEED_DIR = path.join(__dirname, 'badwords');
+const ALLOW_LIST = 'allow';
+const BANNED_NAMES_LIST = 'banned-names';
+
+// Other servers' changes are picked up this often
+const DEFAULT_REFRESH_MS = 60 * 1000;
+
+// Locale lists are named by language code, optionally with a region ("pt-br")
+function isLocaleName(name) {
+  return /^[a-z]{2,3}(-[a-z]{2})?$/.test(name);
+}
+
+function isWordListName(name) {
+  return name === ALLOW_LIST || name === BANNED_NAMES_LIST || isLocaleName(name);
+}
+
+// What a list is for, as shown in the admin console
+function kindOf(name) {
+  if (name === ALLOW_LIST) return 'allowed';
+  if (name === BANNED_NAMES_LIST) return 'banned';
+  return 'blocked';
+}
+
+// One entry per line, no duplicates
+function cleanWords(words) {
+  return [...new Set(words.map(word => word.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+}
+
+// The lists in the seed directory: every <name>.txt file with a list name
+function readSeedLists(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.txt') && isWordListName(file.slice(0, -'.txt'.length)))
+    .sort()
+    .map(file => ({
+      name: file.slice(0, -'.txt'.length),
+      words: cleanWords(fs.readFileSync(path.join(dir, file), 'utf8').split('\n')),
+      version: 0,
+      updatedAt: 0
+    }));
+}
+
+function moderatorFor(lists) {
+  const wordsOf = name => (lists.find(list => list.name === name) || { words: [] }).words;
+  return createNameModerator({
+    blockedWords: lists.filter(list => isLocaleName(list.name)).flatMap(list => list.words),
+    allowedWords: wordsOf(ALLOW_LIST),
+    bannedNames: wordsOf(BANNED_NAMES_LIST)
+  });
+}
+
+// ETag of a set of lists, changing whenever any of them changes
+function etagFor(lists) {
+  const versions = lists.map(list => `${list.name}:${list.version}`).join(',');
+  return `"${crypto.createHash('sha256').update(versions).digest('hex').slice(0, 16)}"`;
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+function createWordLists({ store, seedDir = SEED_DIR, refreshMs = DEFAULT_REFRESH_MS }) {
+  let lists = readSeedLists(seedDir);
+  let moderator = moderatorFor(lists);
+
+  function use(newLists) {
+    lists = newLists.slice().sort(byName);
+    moderator = moderatorFor(lists);
+  }
+
+  function find(name) {
+    return lists.find(list => list.name === name) || null;
+  }
+
+  // Read the lists from the store, seeding it from the files the first time.
+  // The moderator is only rebuilt if a list has changed.
+  async function load() {
+    const stored = (await store.listWordLists()).sort(byName);
+    if (stored.length > 0) {
+      if (etagFor(stored) !== etagFor(lists)) {
+        use(stored);
+      }
+      return;
+    }
+
+    const seeded = [];
+    for (const list of readSeedLists(seedDir)) {
+      seeded.push(await store.saveWordList(list.name, list.words));
+    }
+    use(seeded);
+    console.log(`Seeded word lists ${seeded.map(list => list.name).join(', ')} from ${seedDir}`);
+  }
+
+  if (refreshMs > 0) {
+    setInterval(() => {
+      load().catch(error => console.error('Error refreshing word lists:', error));
+    }, refreshMs).unref();
+  }
+
+  return {
+    load,
+
+    // The name moderator built from the current lists
+    moderator() {
+      return moderator;
+    },
+
+    all() {
+      return lists.map(list => ({ ...list, kind: kindOf(list.name) }));
+    },
+
+    find,
+
+    // The blocked words by locale plus the allowlist, as served to the game,
+    // with their ETag
+    published() {
+      const locales = lists.filter(list => isLocaleName(list.name));
+      const blocked = {};
+      locales.forEach(list => {
+        blocked[list.name] = list.words;
+      });
+      const allowList = find(ALLOW_LIST);
+      return {
+        etag: etagFor(allowList ? locales.concat(allowList) : locales),
+        body: { blocked, allowed: allowList ? allowList.words : [] }
+      };
+    },
+
+    // Replace (or create) a list, resolving to the saved list with its new version
+    async save(name, words) {
+      if (!isWordListName(name)) {
+        throw new Error(`Invalid word list name ${name}`);
+      }
+      const saved = await store.saveWordList(name, cleanWords(words));
+      use(lists.filter(list => list.name !== name).concat(saved));
+      return saved;
+    }
+  };
+}
+
+module.exports = {
+  ALLOW_LIST,
+  BANNED_NAMES_LIST,
+  isLocaleName,
+  isWordListName,
+  createWordLists
+};
@@ -0,0 +1,131 @@
+// Run simulated games from the command line using the headless game core.
+//
+// Usage: node simulate.js [COURSE_CODE] [--runs N] [--max-steps N]
+//        node simulate.js --replay replay.json
+//
+// Without a course code every run gets a random course. The skier is driven
+// by a simple autopilot that picks the technique for the terrain, keeps its
+// rhythm and jumps/ducks when an obstacle gets close. With --replay, a
+// replay exported from the game is re-simulated instead.
+
+const fs = require('fs');
+const GameCore = require('./gamecore');
+const { randomSeed, seedToCourseCode, courseCodeToSeed } = require('./rng');
+
+const DEFAULT_MAX_STEPS = 60 * 60 * GameCore.FPS; // One hour of game time
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = { seed: null, runs: 1, maxSteps: DEFAULT_MAX_STEPS, replayFile: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--runs') {
+            options.runs = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--max-steps') {
+            options.maxSteps = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--replay') {
+            options.replayFile = argv[++i];
+        } else {
+            options.seed = courseCodeToSeed(argv[i]);
+            if (options.seed === null) {
+                throw new Error(`Invalid course code: ${argv[i]}`);
+            }
+        }
+    }
+
+    if (!(options.runs > 0) || !(options.maxSteps > 0)) {
+        throw new Error('--runs and --max-steps must be positive numbers');
+    }
+
+    return options;
+}
+
+// Decide which keys the autopilot presses this step
+function autopilot(state) {
+    const skier = state.skier;
+    const inputs = [];
+
+    // Use the technique that suits the terrain, on its target rhythm: both
+    // keys together to double pole, left and right in turn to stride, and
+    // nothing on descents to tuck
+    const technique = GameCore.terrainTechnique(state);
+    const isStrideDue = state.lastKey === null ||
+        state.time - state.lastKeyTime >= GameCore.techniqueRhythm(state, technique) - GameCore.STEP_MS / 2;
+    if (technique !== GameCore.Technique.TUCK && !state.pendingTap && isStrideDue) {
+        if (technique === GameCore.Technique.DOUBLE_POLE) {
+            inputs.push('ArrowLeft', 'ArrowRight');
+        } else {
+            inputs.push(state.lastKey === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft');
+        }
+    }
+
+    // React to the nearest obstacle once it is about two steps away
+    const approachSpeed = skier.speed * 1.2 + 2;
+    state.obstacles.forEach(obstacle => {
+        const gap = obstacle.worldX - state.worldX - (skier.x + 20);
+        if (gap < 0 || gap > approachSpeed * 2) return;
+
+        if (obstacle.type === 'skier' && !skier.isJumping) {
+            inputs.push(' ');
+        } else if (obstacle.type === 'bridge' && !skier.isDucking && !skier.isJumping) {
+            inputs.push('ArrowDown');
+        }
+    });
+
+    return inputs;
+}
+
+// Simulate one run and return its result
+function simulateRun(seed, maxSteps) {
+    const state = GameCore.createGame(seed);
+
+    while (!state.isOver && state.stepCount < maxSteps) {
+        GameCore.step(state, autopilot(state));
+    }
+
+    return {
+        course: seedToCourseCode(seed),
+        score: state.score,
+        steps: state.stepCount,
+        seconds: Math.round(state.time / 1000),
+        finished: state.isOver,
+        cause: state.causeOfDeath
+    };
+}
+
+// Re-simulate an exported replay and compare with the recorded score
+function simulateReplayFile(replayFile) {
+    const replay = JSON.parse(fs.readFileSync(replayFile, 'utf8'));
+    const state = GameCore.simulateReplay(replay);
+    const matches = state.score === replay.score;
+
+    console.log(`Course ${seedToCourseCode(replay.seed)}: replayed score ${state.score} after ${Math.round(state.time / 1000)}s` +
+        ` (recorded ${replay.score}${matches ? '' : ' - MISMATCH'})`);
+
+    if (!matches) {
+        process.exitCode = 1;
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.replayFile) {
+        simulateReplayFile(options.replayFile);
+        return;
+    }
+
+    for (let run = 0; run < options.runs; run++) {
+        const seed = options.seed === null ? randomSeed() : options.seed;
+        const result = simulateRun(seed, options.maxSteps);
+        console.log(`Course ${result.course}: score ${result.score} after ${result.seconds}s` +
+            (result.finished ? ` (${result.cause})` : ' (stopped at step limit)'));
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,46 @@
+// Service worker caching the game so it can be played offline.
+//
+// The game's files are fetched from the network first, so a new version is
+// picked up as soon as it is deployed, and served from the cache when the
+// network is down. Requests to the high score server are left alone; the
+// game queues score submissions itself while offline.
+const CACHE_NAME = 'skiing-v3';
+const GAME_FILES = ['./', 'index.html', 'rng.js', 'beatmap.js', 'gamecore.js', 'audio.js', 'game.js'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(GAME_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            // Shared course links (?course=CODE) are the same page
+            .catch(() => caches.match(request, { ignoreSearch: true }))
+            .then(response => response || Response.error())
+    );
+});
@@ -0,0 +1,37 @@
+// Beatmaps of Rhythm Tracks: the built-in tracks and the checks on loaded ones
+const test = require('node:test');
+const assert = require('node:assert');
+const Beatmap = require('../beatmap');
+
+const beatmap = { title: 'Test', bpm: 120, timeSignature: [4, 4], beats: [0, 1, 2, 3, 4] };
+
+test('built-in tracks are valid and last to the end of their last bar', () => {
+    Beatmap.builtInBeatmaps().forEach(track => {
+        assert.strictEqual(Beatmap.validateBeatmap(track), null, track.title);
+    });
+
+    const compiled = Beatmap.compileBeatmap({ ...beatmap, offset: 1000 });
+    assert.deepStrictEqual(compiled.strideTimes, [1000, 1500, 2000, 2500, 3000]);
+    assert.deepStrictEqual(compiled.barTimes, [1000, 3000]);
+    assert.strictEqual(compiled.pulses.length, 8);
+    assert.strictEqual(compiled.endTime, 5000);
+});
+
+test('tempo changes apply from their beat on', () => {
+    const compiled = Beatmap.compileBeatmap({ ...beatmap, tempoChanges: [{ beat: 2, bpm: 60 }] });
+    assert.deepStrictEqual(compiled.strideTimes, [0, 500, 1000, 2000, 3000]);
+});
+
+test('rejects beatmaps that can\'t be skied', () => {
+    assert.strictEqual(Beatmap.validateBeatmap({ ...beatmap, bpm: 500 }), 'BPM must be from 40 to 300');
+    assert.strictEqual(Beatmap.validateBeatmap({ ...beatmap, beats: [0, 2, 1] }), 'Beats must be in order, from beat 0');
+    assert.strictEqual(Beatmap.validateBeatmap({ ...beatmap, beats: [0, 0.1] }), 'Beats 0 and 0.1 are too close together to ski');
+    assert.throws(() => Beatmap.parseBeatmap('{'), /Beatmap isn't valid JSON/);
+});
+
+test('rejects tracks that are too long without compiling them', () => {
+    const started = Date.now();
+    assert.strictEqual(Beatmap.validateBeatmap({ ...beatmap, beats: [0, 1e7] }), 'Track is too long');
+    assert.strictEqual(Beatmap.validateBeatmap({ ...beatmap, beats: [0, 1e300] }), 'Track is too long');
+    assert.ok(Date.now() - started < 1000);
+});
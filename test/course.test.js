@@ -0,0 +1,68 @@
+// A course is generated from its seed alone, so the same seed (or course
+// code) must always give the same obstacles
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, seedToCourseCode, courseCodeToSeed } = require('../rng');
+const GameCore = require('../gamecore');
+
+// The first `count` obstacles spawned on a course, described by what the
+// random generator picked for them. The skier strides, jumps fallen skiers
+// and ducks bridges, so the run lasts until they have all spawned.
+function obstacleSequence(seed, count) {
+    const state = GameCore.createGame(seed);
+    const obstacles = [];
+    while (obstacles.length < count && !state.isOver) {
+        const inputs = [];
+        if (state.stepCount % 24 === 0) {
+            inputs.push(state.stepCount % 48 === 0 ? 'ArrowLeft' : 'ArrowRight');
+        }
+        const nearest = state.obstacles.find(obstacle => {
+            const distance = obstacle.worldX - state.worldX - state.skier.x;
+            return distance > 0 && distance < 50;
+        });
+        if (nearest) {
+            inputs.push(nearest.type === 'bridge' ? 'ArrowDown' : ' ');
+        }
+        GameCore.step(state, inputs);
+        state.obstacles.forEach(obstacle => {
+            if (!obstacles.includes(obstacle)) obstacles.push(obstacle);
+        });
+    }
+    return obstacles.slice(0, count).map(obstacle => obstacle.type === 'bridge'
+        ? { type: 'bridge', bridgeHeight: Math.round(obstacle.bridgeHeight * 100) / 100, spectators: obstacle.spectators.length }
+        : { type: 'skier', poseType: obstacle.poseType });
+}
+
+test('a seed always produces the same obstacle sequence', () => {
+    assert.deepStrictEqual(obstacleSequence(3, 5), [
+        { type: 'skier', poseType: 1 },
+        { type: 'bridge', bridgeHeight: 58.87, spectators: 4 },
+        { type: 'bridge', bridgeHeight: 58.67, spectators: 3 },
+        { type: 'skier', poseType: 1 },
+        { type: 'bridge', bridgeHeight: 54.39, spectators: 4 }
+    ]);
+});
+
+test('different seeds produce different courses', () => {
+    assert.notDeepStrictEqual(obstacleSequence(3, 5), obstacleSequence(4, 5));
+});
+
+test('the random generator repeats for a seed', () => {
+    const first = createRng(42);
+    const second = createRng(42);
+    for (let i = 0; i < 100; i++) {
+        const value = first();
+        assert.strictEqual(value, second());
+        assert.ok(value >= 0 && value < 1);
+    }
+});
+
+test('course codes round-trip to their seed', () => {
+    [0, 1, 123456789, 0xFFFFFFFF].forEach(seed => {
+        assert.strictEqual(courseCodeToSeed(seedToCourseCode(seed)), seed);
+    });
+    assert.strictEqual(seedToCourseCode(35), '000000Z');
+    assert.strictEqual(courseCodeToSeed(' 000000z '), 35);
+    assert.strictEqual(courseCodeToSeed('NOT-A-CODE'), null);
+    assert.strictEqual(courseCodeToSeed('ZZZZZZZ'), null);
+});
@@ -0,0 +1,97 @@
+// The game core runs the same in Node as in the browser, so a run can be
+// re-simulated from its replay (the server relies on this to verify scores)
+const test = require('node:test');
+const assert = require('node:assert');
+const GameCore = require('../gamecore');
+
+// Play a run with a simple autopilot: stride every 24 steps, jump fallen
+// skiers and duck bridges once they are close
+function playRun(seed, maxSteps) {
+    const state = GameCore.createGame(seed);
+    while (!state.isOver && state.stepCount < maxSteps) {
+        const inputs = [];
+        if (state.stepCount % 24 === 0) {
+            inputs.push(state.stepCount % 48 === 0 ? 'ArrowLeft' : 'ArrowRight');
+        }
+        const obstacle = state.obstacles.find(obstacle => {
+            const distance = obstacle.worldX - state.worldX - state.skier.x;
+            return distance > 0 && distance < 50;
+        });
+        if (obstacle) {
+            inputs.push(obstacle.type === 'bridge' ? 'ArrowDown' : ' ');
+        }
+        GameCore.step(state, inputs);
+    }
+    return state;
+}
+
+// A replay that passes validation, to break one field at a time
+function validReplay() {
+    return GameCore.createReplay(playRun(99, 600));
+}
+
+test('stepping a course with the same inputs gives the same run', () => {
+    const first = playRun(2024, 3000);
+    const second = playRun(2024, 3000);
+    assert.strictEqual(first.stepCount, second.stepCount);
+    assert.strictEqual(first.score, second.score);
+    assert.strictEqual(first.worldX, second.worldX);
+    assert.strictEqual(first.causeOfDeath, second.causeOfDeath);
+    assert.ok(first.inputLog.length > 0);
+});
+
+test('a skier who never presses a key crashes into the first obstacle', () => {
+    const state = GameCore.createGame(2024);
+    while (!state.isOver && state.stepCount < 3000) {
+        GameCore.step(state);
+    }
+    assert.strictEqual(state.isOver, true);
+    assert.ok(state.stepCount > 0 && state.stepCount < 3000);
+});
+
+test('a replay re-simulates to the run it was recorded from', () => {
+    const state = playRun(2024, 3000);
+    const replay = GameCore.createReplay(state);
+    assert.strictEqual(GameCore.validateReplay(replay), null);
+
+    const replayed = GameCore.simulateReplay(JSON.parse(JSON.stringify(replay)));
+    assert.strictEqual(replayed.stepCount, state.stepCount);
+    assert.strictEqual(replayed.score, state.score);
+    assert.strictEqual(replayed.isOver, state.isOver);
+    assert.strictEqual(replayed.causeOfDeath, state.causeOfDeath);
+});
+
+test('seeking a replay backwards re-simulates from the start', () => {
+    const replay = GameCore.createReplay(playRun(7, 1200));
+    const player = GameCore.createReplayPlayer(replay);
+    const halfway = Math.floor(replay.steps / 2);
+    const worldX = GameCore.seekReplay(player, halfway).worldX;
+
+    GameCore.seekReplay(player, replay.steps);
+    assert.strictEqual(GameCore.seekReplay(player, halfway).worldX, worldX);
+});
+
+test('validateReplay rejects malformed replays', () => {
+    const cases = [
+        [() => null, 'Replay is missing'],
+        [replay => ({ ...replay, version: replay.version - 1 }), 'Unsupported replay version'],
+        [replay => ({ ...replay, seed: -1 }), 'Invalid seed'],
+        [replay => ({ ...replay, seed: 2 ** 32 }), 'Invalid seed'],
+        [replay => ({ ...replay, mode: 'downhill' }), 'Invalid mode'],
+        [replay => ({ ...replay, mode: GameCore.RunMode.RHYTHM }), 'Invalid beatmap: Beatmap is missing'],
+        [replay => ({ ...replay, stepMs: 0 }), 'Invalid step length'],
+        [replay => ({ ...replay, stepMs: 'x' }), 'Invalid step length'],
+        [replay => ({ ...replay, steps: GameCore.MAX_REPLAY_STEPS + 1 }), 'Invalid run length'],
+        [replay => ({ ...replay, steps: 1.5 }), 'Invalid run length'],
+        [replay => ({ ...replay, inputs: 'ArrowLeft' }), 'Invalid inputs'],
+        [replay => ({ ...replay, inputs: [{ step: 5, key: 'ArrowLeft' }, { step: 4, key: 'ArrowRight' }] }), 'Invalid input step'],
+        [replay => ({ ...replay, inputs: [{ step: replay.steps, key: 'ArrowLeft' }] }), 'Invalid input step'],
+        [replay => ({ ...replay, inputs: [{ step: 0, key: 'Enter' }] }), 'Invalid input key']
+    ];
+
+    const replay = validReplay();
+    assert.strictEqual(GameCore.validateReplay(replay), null);
+    cases.forEach(([breakReplay, error]) => {
+        assert.strictEqual(GameCore.validateReplay(breakReplay(replay)), error);
+    });
+});
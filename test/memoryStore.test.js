@@ -0,0 +1,96 @@
+// The in-memory storage backend, which implements the same interface as the
+// file, SQLite and Firestore ones (see server/storage/index.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../server/storage/memory');
+const { MAIN_BOARD } = require('../server/storage/common');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('lists the best scores on a board, since a time', async () => {
+    const store = createMemoryStore();
+    const now = Date.now();
+    await store.insert(MAIN_BOARD, { name: 'Old', score: 900, createdAt: now - 10 * DAY_MS, playerId: 'a' });
+    await store.insert(MAIN_BOARD, { name: 'Low', score: 100, createdAt: now, playerId: 'b' });
+    await store.insert(MAIN_BOARD, { name: 'High', score: 500, createdAt: now, playerId: 'c' });
+    await store.insert('daily-2026-10-18', { name: 'Daily', score: 5000, createdAt: now, playerId: 'd' });
+
+    assert.deepStrictEqual((await store.list(MAIN_BOARD, 10)).map(entry => entry.name), ['Old', 'High', 'Low']);
+    assert.deepStrictEqual((await store.list(MAIN_BOARD, 2)).map(entry => entry.name), ['Old', 'High']);
+    assert.deepStrictEqual((await store.list(MAIN_BOARD, 10, now - DAY_MS)).map(entry => entry.name), ['High', 'Low']);
+});
+
+test('finds and lists the scores of a player', async () => {
+    const store = createMemoryStore();
+    await store.insert(MAIN_BOARD, { name: 'Ann', score: 300, createdAt: 2, playerId: 'ann' });
+    await store.insert(MAIN_BOARD, { name: 'Ann', score: 200, createdAt: 1, playerId: 'ann' });
+    await store.insert(MAIN_BOARD, { name: 'Bob', score: 400, createdAt: 3, playerId: 'bob' });
+
+    assert.deepStrictEqual((await store.listByPlayer(MAIN_BOARD, 'ann')).map(entry => entry.score), [200, 300]);
+    assert.strictEqual((await store.findByPlayer(MAIN_BOARD, 'bob')).score, 400);
+    assert.strictEqual(await store.findByPlayer(MAIN_BOARD, 'nobody'), null);
+});
+
+test('hidden scores leave the leaderboard but still count as submitted', async () => {
+    const store = createMemoryStore();
+    const entry = await store.insert('daily-2026-10-18', { name: 'Ann', score: 300, createdAt: 1, playerId: 'ann' });
+    await store.updateScore('daily-2026-10-18', entry.id, { hidden: true });
+
+    assert.deepStrictEqual(await store.list('daily-2026-10-18', 10), []);
+    assert.ok(await store.findByPlayer('daily-2026-10-18', 'ann'));
+    assert.strictEqual((await store.listAll('daily-2026-10-18', { sort: 'score', limit: 10, offset: 0 }))[0].hidden, true);
+});
+
+test('trims, resets and deletes scores', async () => {
+    const store = createMemoryStore();
+    for (const score of [100, 400, 300, 200]) {
+        await store.insert(MAIN_BOARD, { name: `P${score}`, score, createdAt: score, playerId: null });
+    }
+
+    await store.trim(MAIN_BOARD, 2);
+    assert.deepStrictEqual((await store.list(MAIN_BOARD, 10)).map(entry => entry.score), [400, 300]);
+
+    const [best] = await store.list(MAIN_BOARD, 1);
+    assert.strictEqual(await store.deleteScore(MAIN_BOARD, best.id), true);
+    assert.strictEqual(await store.deleteScore(MAIN_BOARD, best.id), false);
+
+    await store.reset(MAIN_BOARD, [{ name: 'Fresh', score: 1 }]);
+    assert.deepStrictEqual((await store.list(MAIN_BOARD, 10)).map(entry => entry.name), ['Fresh']);
+});
+
+test('keeps player names unique', async () => {
+    const store = createMemoryStore();
+    await store.createPlayer({ id: 'ann', tokenHash: 'x', createdAt: 1 });
+    await store.createPlayer({ id: 'bob', tokenHash: 'y', createdAt: 2 });
+
+    assert.strictEqual(await store.claimPlayerName('ann', 'Skier', 'skier'), true);
+    assert.strictEqual(await store.claimPlayerName('bob', 'SKIER', 'skier'), false);
+    assert.strictEqual((await store.findPlayer('ann')).name, 'Skier');
+
+    // Changing name releases the old one
+    assert.strictEqual(await store.claimPlayerName('ann', 'Racer', 'racer'), true);
+    assert.strictEqual(await store.claimPlayerName('bob', 'Skier', 'skier'), true);
+    assert.strictEqual((await store.setPlayerBanned('bob', true)).banned, true);
+    assert.strictEqual(await store.setPlayerBanned('nobody', true), null);
+});
+
+test('starts one scored daily run per player and day', async () => {
+    const store = createMemoryStore();
+    await store.createPlayer({ id: 'ann', tokenHash: 'x', createdAt: 1 });
+
+    assert.strictEqual(await store.startDailyRun('ann', '2026-01-01'), true);
+    assert.strictEqual(await store.startDailyRun('ann', '2026-01-01'), false);
+    assert.strictEqual(await store.startDailyRun('ann', '2026-01-02'), true);
+    assert.strictEqual(await store.startDailyRun('nobody', '2026-01-02'), false);
+});
+
+test('keeps the audit log newest first and versions word lists', async () => {
+    const store = createMemoryStore();
+    await store.appendAudit({ type: 'admin', action: 'first' });
+    await store.appendAudit({ type: 'admin', action: 'second' });
+    assert.deepStrictEqual((await store.listAudit(10)).map(entry => entry.action), ['second', 'first']);
+
+    assert.strictEqual((await store.saveWordList('en', ['a'])).version, 1);
+    assert.strictEqual((await store.saveWordList('en', ['a', 'b'])).version, 2);
+    assert.deepStrictEqual((await store.listWordLists()).map(list => list.words), [['a', 'b']]);
+});
@@ -0,0 +1,43 @@
+// Name moderation with the word lists the server is seeded with
+// (server/badwords/)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createNameModerator } = require('../server/moderation');
+
+const readList = name => fs.readFileSync(path.join(__dirname, '..', 'server', 'badwords', `${name}.txt`), 'utf8')
+    .split('\n').map(word => word.trim()).filter(Boolean);
+
+const moderator = createNameModerator({
+    blockedWords: readList('en').concat(readList('no')),
+    allowedWords: readList('allow'),
+    bannedNames: ['Badguy']
+});
+
+const isAllowed = name => moderator.moderate(name).allowed;
+
+test('blocks blocked words as whole words and spelled out', () => {
+    ['fuck', 'Big Dick', 'sh1t', '$hit', 'fuuuck', 'f u c k', 'f.u.c.k'].forEach(name => {
+        assert.strictEqual(isAllowed(name), false, name);
+    });
+});
+
+test('blocks long blocked words inside other words', () => {
+    ['motherfucker', 'xxfuckerxx', 'bigdickhead'].forEach(name => {
+        assert.strictEqual(isAllowed(name), false, name);
+    });
+});
+
+test('allows innocent names that contain short blocked words', () => {
+    ['Cassandra', 'Scunthorpe', 'Classic Skier', 'Dickens', 'Dickson', 'Hitchcock', 'Chassis', 'Kassem', 'Peacock', 'Hello'].forEach(name => {
+        assert.strictEqual(isAllowed(name), true, name);
+    });
+});
+
+test('blocks banned names in any spelling and explains every rejection', () => {
+    assert.strictEqual(isAllowed('B4dguy'), false);
+    assert.strictEqual(isAllowed('Badguy Jr'), true);
+    assert.deepStrictEqual(moderator.moderate('fuck').reasons, [{ code: 'blocked_word', message: 'Name contains a blocked word (f***)' }]);
+    assert.deepStrictEqual(moderator.moderate(' ').reasons, [{ code: 'empty', message: 'Name is empty' }]);
+});
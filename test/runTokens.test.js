@@ -0,0 +1,36 @@
+// Run tokens: signed, tied to their course and claims, and single-use
+// unless released because the score couldn't be stored
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRunTokens } = require('../server/runTokens');
+
+const runTokens = createRunTokens({ secret: 'test secret' });
+const replay = { seed: 42, steps: 0 };
+
+test('accepts a token once, for its own course', () => {
+    const token = runTokens.issue(42);
+    assert.strictEqual(runTokens.redeem(token, { ...replay, seed: 43 }), 'Run token is for a different course');
+    assert.strictEqual(runTokens.redeem(token, replay), null);
+    assert.strictEqual(runTokens.redeem(token, replay), 'Run token has already been used');
+});
+
+test('rejects missing, forged and too early tokens', () => {
+    const token = runTokens.issue(42);
+    assert.strictEqual(runTokens.redeem(undefined, replay), 'Run token is missing');
+    assert.strictEqual(runTokens.redeem(`${token}x`, replay), 'Run token is invalid');
+    assert.strictEqual(runTokens.redeem(token, { ...replay, steps: 60 * 60 }), 'Run was submitted sooner than it could have been played');
+});
+
+test('checks the claims a token was issued with', () => {
+    const token = runTokens.issue(42, { daily: '2026-01-01', playerId: 'ann' });
+    assert.strictEqual(runTokens.redeem(token, replay, { daily: '2026-01-01', playerId: 'bob' }), 'Run token is not for this run');
+    assert.strictEqual(runTokens.redeem(runTokens.issue(42), replay, { daily: '2026-01-01' }), 'Run token is not for this run');
+    assert.strictEqual(runTokens.redeem(token, replay, { daily: '2026-01-01', playerId: 'ann' }), null);
+});
+
+test('a released token can be redeemed again', () => {
+    const token = runTokens.issue(42);
+    assert.strictEqual(runTokens.redeem(token, replay), null);
+    runTokens.release(token);
+    assert.strictEqual(runTokens.redeem(token, replay), null);
+});